@@ -0,0 +1,754 @@
+/**
+ * CRT Controls Panel
+ * A standalone control panel for one or more <crt-overlay> elements.
+ *
+ *   <crt-controls for="main-crt"></crt-controls>
+ *   <crt-controls for="left-crt right-crt" dock="left"></crt-controls>
+ *
+ * - `for`: space-separated ids of the overlays to control (every <crt-overlay> in the document, if omitted),
+ *   resolved again as overlays connect and disconnect. The first one's values are shown, and every change is written
+ *   to all of them through their reflected properties. The `overlays` property takes elements directly.
+ * - `dock`: 'bottom-right' (default), 'bottom-left', 'top-right', 'top-left', 'left' or 'right'
+ *   (full-height sidebars), or 'float' once the panel has been dragged by its header.
+ * - `minimized`: only the header bar is shown.
+ * - Undo/redo: the header buttons, or Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (Ctrl+Y) while the panel has
+ *   focus, step every controlled overlay through its own history (see CRTOverlay#history).
+ * - Dock, floating position and minimized state are remembered in localStorage under
+ *   `crt-controls:<persist-key>` (falling back to `for`, then 'default').
+ *
+ * Slider and checkbox rows are generated from the overlay's PARAMETER_SCHEMA. A <crt-overlay>
+ * with the `controls` attribute creates one of these for itself.
+ */
+
+import CRTOverlay, { PARAMETER_SCHEMA, BLOOM_TINTS, PALETTES, parseBloomColor, toHexColor } from './crt-overlay.js';
+
+const DOCKS = ['bottom-right', 'bottom-left', 'top-right', 'top-left', 'left', 'right', 'float'];
+const DOCK_LABELS = {
+  'bottom-right': 'Bottom right', 'bottom-left': 'Bottom left', 'top-right': 'Top right', 'top-left': 'Top left',
+  'left': 'Left sidebar', 'right': 'Right sidebar', 'float': 'Floating',
+};
+const POSITION_PREFIX = 'crt-controls:';
+const DRAG_THRESHOLD = 4; // px of pointer travel before a header press becomes a drag
+
+class CRTControls extends HTMLElement {
+  static get observedAttributes() {
+    return ['for', 'dock', 'minimized', 'persist-key'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._overlays = null; // overlays set through the property (instead of `for`)
+    this._targets = []; // overlays currently controlled; the first one is shown
+    this._drag = null; // header drag in progress { pointerId, dx, dy, startX, startY, moved }
+    this._rendered = false;
+  }
+
+  connectedCallback() {
+    // An `overlays` assignment made before the element was defined shadows the accessor
+    if (Object.prototype.hasOwnProperty.call(this, 'overlays')) {
+      const overlays = this.overlays;
+      delete this.overlays;
+      this._overlays = overlays ? [...overlays] : null;
+    }
+    this._setup();
+  }
+
+  disconnectedCallback() {
+    this._setTargets([]);
+    if (this._onPresetsChange) {
+      document.removeEventListener('crt-presets-change', this._onPresetsChange);
+      this._onPresetsChange = null;
+    }
+    if (this._onOverlaysChange) {
+      document.removeEventListener('crt-overlays-change', this._onOverlaysChange);
+      this._onOverlaysChange = null;
+    }
+    this._drag = null;
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue || !this._rendered) return;
+    if (name === 'for') this.attachTargets();
+    if (name === 'persist-key') this.restorePosition();
+    if (name === 'dock' || name === 'minimized') this._syncBar();
+  }
+
+  /** Overlays this panel controls (the first one's values are shown). Assign an array to bypass `for`. */
+  get overlays() {
+    return this._targets.slice();
+  }
+
+  set overlays(list) {
+    this._overlays = list ? [...list] : null;
+    if (this._rendered) this.attachTargets();
+  }
+
+  _setup() {
+    if (!this.isConnected) return;
+    // Focusable, so the undo/redo shortcuts work after clicking anywhere on the panel
+    if (!this.hasAttribute('tabindex')) this.tabIndex = -1;
+    if (!this._rendered) {
+      this.render();
+      this.bindControls();
+      this._rendered = true;
+    }
+    this._onPresetsChange = this._onPresetsChange || (() => this.renderPresetOptions());
+    document.addEventListener('crt-presets-change', this._onPresetsChange);
+    // Overlays rendered after the panel (or removed) change what `for` and the default resolve to
+    this._onOverlaysChange = this._onOverlaysChange || (() => { if (!this._overlays) this.attachTargets(false); });
+    document.addEventListener('crt-overlays-change', this._onOverlaysChange);
+    this.renderPresetOptions();
+    this.restorePosition();
+    this.attachTargets();
+  }
+
+  /**
+   * Resolve `for` (or the `overlays` property) and start following those overlays. Runs again whenever
+   * a <crt-overlay> connects or disconnects; `warnMissing` is false then, as listed ids may still appear.
+   */
+  attachTargets(warnMissing = true) {
+    if (this._overlays) {
+      this._setTargets(this._overlays.filter(el => el instanceof CRTOverlay));
+      return;
+    }
+    const ids = (this.getAttribute('for') || '').split(/\s+/).filter(Boolean);
+    if (!ids.length) {
+      // Compare companions belong to their overlay
+      this._setTargets([...document.querySelectorAll('crt-overlay')].filter(el => !el._compareOf));
+      return;
+    }
+    const found = ids.map(id => document.getElementById(id));
+    const missing = ids.filter((id, i) => !(found[i] instanceof CRTOverlay));
+    if (missing.length && warnMissing) console.warn(`crt-controls: no crt-overlay with id ${missing.map(id => `"${id}"`).join(', ')}`);
+    this._setTargets(found.filter(el => el instanceof CRTOverlay));
+  }
+
+  _setTargets(targets) {
+    this._targets.forEach(overlay => overlay._controlPanels.delete(this));
+    this._targets = targets;
+    targets.forEach(overlay => overlay._controlPanels.add(this));
+    this.refresh();
+  }
+
+  /**
+   * Show the first overlay's values: all of them, or only `key` (a config key, or 'preset').
+   * Overlays call this as their values change.
+   */
+  refresh(overlay = this._targets[0], key = null) {
+    if (!this._rendered || !overlay || overlay !== this._targets[0]) return;
+    if (key === 'preset') {
+      this.syncPresetSelect();
+    } else if (key === 'history') {
+      this.syncHistoryControls();
+    } else if (key) {
+      const param = PARAMETER_SCHEMA.find(p => p.key === key);
+      if (param) this._syncParameter(param);
+    } else {
+      PARAMETER_SCHEMA.forEach(param => this._syncParameter(param));
+      this.syncPresetSelect();
+      this.syncHistoryControls();
+    }
+  }
+
+  // Show one parameter's value, leaving alone whichever input is being typed in
+  _syncParameter(param) {
+    if (param.key === 'bloomColor') return this.syncBloomColorControls();
+    if (param.key === 'phosphor') return this.syncPhosphorControls();
+    if (param.key === 'palette') return this.syncPaletteControls();
+    if (param.key === 'lines') return this.syncLinesControls();
+    if (param.key === 'safeMode') return this.syncSafeModeControls();
+    const root = this.shadowRoot;
+    const input = root.querySelector(`.ctl-${param.attribute}`);
+    if (!input) return;
+    const value = this._targets[0].config[param.key];
+    if (param.control === 'toggle') {
+      input.checked = value;
+    } else if (param.control === 'slider') {
+      const numberInput = root.querySelector(`.ctl-${param.attribute}-number`);
+      if (input !== root.activeElement) input.value = value;
+      if (numberInput && numberInput !== root.activeElement) numberInput.value = Number(value).toFixed(stepDecimals(param.step));
+    } else if (input.tagName === 'SELECT') {
+      input.value = value === null ? '' : String(value);
+    }
+  }
+
+  // Write one value to every controlled overlay; changes to the look leave the preset dropdown on "Custom"
+  _set(key, value) {
+    this._targets.forEach((overlay) => { overlay[key] = value; });
+    const presetSelect = this.shadowRoot.querySelector('.ctl-preset');
+    const param = PARAMETER_SCHEMA.find(p => p.key === key);
+    if (presetSelect && param.settings !== false) presetSelect.value = '';
+  }
+
+  /** Undo the last step on every controlled overlay. */
+  undo() {
+    this._targets.forEach(overlay => overlay.undo());
+  }
+
+  /** Redo the last undone step on every controlled overlay. */
+  redo() {
+    this._targets.forEach(overlay => overlay.redo());
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          position: fixed;
+          right: 18px;
+          bottom: 18px;
+          z-index: 1000000;
+          display: flex;
+          flex-direction: column;
+          max-height: 80vh;
+          min-width: 280px;
+          pointer-events: auto;
+          background: rgba(0,0,0,0.85);
+          border: 1px solid rgba(255,255,255,0.1);
+          border-radius: 8px;
+          color: #e6f7ff;
+          font-family: system-ui, sans-serif;
+          font-size: 12px;
+        }
+        :host([hidden]) { display: none; }
+        :host([dock="bottom-left"]) { left: 18px; right: auto; }
+        :host([dock="top-right"]) { top: 18px; bottom: auto; }
+        :host([dock="top-left"]) { top: 18px; left: 18px; right: auto; bottom: auto; }
+        :host([dock="left"]), :host([dock="right"]) { top: 0; bottom: 0; max-height: none; border-radius: 0; }
+        :host([dock="left"]) { left: 0; right: auto; }
+        :host([dock="right"]) { right: 0; }
+        :host([dock="float"]) { left: var(--crt-controls-x, 18px); top: var(--crt-controls-y, 18px); right: auto; bottom: auto; }
+        :host([minimized]) { max-height: none; bottom: auto; }
+        :host([minimized][dock="bottom-right"]), :host([minimized][dock="bottom-left"]), :host([minimized]:not([dock])) { top: auto; bottom: 18px; }
+        :host([minimized]) .panel-body { display: none; }
+
+        .bar { display: flex; align-items: center; gap: 6px; padding: 8px 12px; cursor: grab; user-select: none; touch-action: none; border-bottom: 1px solid rgba(255,255,255,0.1); }
+        :host([minimized]) .bar { border-bottom: 0; }
+        .bar.dragging { cursor: grabbing; }
+        .bar .title { flex: 1; font-weight: 600; }
+        .bar select, .bar button { cursor: pointer; }
+        .panel-body { overflow-y: auto; padding: 0 12px 8px; }
+
+        .row { display: flex; justify-content: space-between; align-items: center; margin: 6px 0; gap: 8px; }
+        .row > span:first-child { flex-shrink: 0; min-width: 140px; }
+        .row input[type="range"] { flex: 1; }
+        .row input[type="number"] { width: 70px; background: rgba(255,255,255,0.08); border: 1px solid rgba(255,255,255,0.2); color: #e6f7ff; border-radius: 4px; padding: 4px 6px; text-align: center; font-size: 12px; }
+        .row input[type="color"] { width: 32px; height: 24px; padding: 0; border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; background: none; }
+        select { flex: 1; padding: 4px; border-radius: 4px; background: rgba(255,255,255,0.1); color: #e6f7ff; border: 1px solid rgba(255,255,255,0.2); font: inherit; }
+        select option, optgroup { background: #1a1a1a; color: #e6f7ff; }
+        select option:hover, select option:checked { background: #2a2a2a; color: #4aa3e1; }
+        .safe-mode { font-weight: 600; color: #ffdd66; border-bottom: 1px solid rgba(255,255,255,0.1); padding-bottom: 8px; justify-content: flex-start; }
+        .safe-mode .ctl-safe-mode-hint { font-weight: 400; color: rgba(230,247,255,0.6); }
+        .preset { font-weight: 500; border-bottom: 1px solid rgba(255,255,255,0.1); padding-bottom: 8px; }
+        details { border-bottom: 1px solid rgba(255,255,255,0.1); padding: 8px 0; margin: 8px 0; }
+        details.settings { border-bottom: 0; border-top: 1px solid rgba(255,255,255,0.1); }
+        summary { font-weight: 600; margin-bottom: 6px; cursor: pointer; }
+
+        .crt-btn { flex: 1; padding: 4px 8px; border-radius: 4px; background: rgba(255,255,255,0.1); color: #e6f7ff; border: 1px solid rgba(255,255,255,0.2); font: inherit; cursor: pointer; }
+        .crt-btn:hover { background: rgba(74, 163, 225, 0.3); }
+        .bar .crt-btn { flex: 0 0 auto; padding: 0 8px; line-height: 20px; }
+        .crt-btn:disabled { opacity: 0.4; cursor: default; background: rgba(255,255,255,0.1); }
+        :host(:focus) { outline: none; }
+        .buttons { display: flex; gap: 8px; margin: 6px 0; }
+        .ctl-settings-status { white-space: pre-line; font-size: 11px; }
+
+        .panel-body::-webkit-scrollbar { width: 10px; }
+        .panel-body::-webkit-scrollbar-track { background: rgba(0, 0, 0, 0.3); border-radius: 5px; }
+        .panel-body::-webkit-scrollbar-thumb { background: rgba(74, 163, 225, 0.6); border-radius: 5px; border: 2px solid rgba(0, 0, 0, 0.3); }
+        .panel-body::-webkit-scrollbar-thumb:hover { background: rgba(74, 163, 225, 0.8); }
+      </style>
+
+      <div class="bar" part="bar">
+        <span class="title">CRT Controls</span>
+        <button type="button" class="crt-btn ctl-undo" aria-label="Undo" title="Undo (Ctrl+Z)" disabled>↶</button>
+        <button type="button" class="crt-btn ctl-redo" aria-label="Redo" title="Redo (Ctrl+Shift+Z)" disabled>↷</button>
+        <select class="ctl-dock" title="Dock position" style="flex:0 0 auto;">
+          ${DOCKS.map(dock => `<option value="${dock}">${DOCK_LABELS[dock]}</option>`).join('')}
+        </select>
+        <button type="button" class="crt-btn ctl-minimize" aria-label="Minimize" title="Minimize">–</button>
+      </div>
+
+      <div class="panel-body" part="body">
+        <!-- Photosensitivity safe mode -->
+        <label class="row safe-mode">
+          <input type="checkbox" class="ctl-safe-mode">
+          <span>Photosensitivity safe mode</span>
+          <span class="ctl-safe-mode-hint"></span>
+        </label>
+
+        <!-- Preset selector -->
+        <label class="row preset">
+          <span>Preset</span>
+          <select class="ctl-preset">
+            <option value="">Custom</option>
+          </select>
+        </label>
+
+        <details open>
+          <summary style="color:#ffaa44;">Scanlines</summary>
+          ${controlRows('scanlines')}
+          <label class="row">
+            <span>Lines</span>
+            <select class="ctl-lines">
+              <option value="">Off (scan size)</option>
+              ${lineOptions()}
+              <option value="custom" disabled>Custom</option>
+            </select>
+          </label>
+          ${controlRows('lines')}
+          <label class="row">
+            <span>Scanline mask</span>
+            <select class="ctl-scanline-mask">
+              ${schemaOptions('scanlineMask')}
+            </select>
+          </label>
+        </details>
+
+        <details open>
+          <summary style="color:#44aaff;">Hairlines</summary>
+          ${controlRows('hairlines')}
+        </details>
+
+        <details open>
+          <summary style="color:#ff88ff;">Chromatic Aberration</summary>
+          ${controlRows('fringe')}
+        </details>
+
+        <details>
+          <summary style="color:#88ff88;">Film Grain</summary>
+          ${controlRows('noise')}
+        </details>
+
+        <details>
+          <summary style="color:#ff6644;">Vignette</summary>
+          ${controlRows('vignette')}
+        </details>
+
+        <details>
+          <summary style="color:#44ff99;">Reflection</summary>
+          ${controlRows('reflection')}
+        </details>
+
+        <details>
+          <summary style="color:#ffff44;">Flicker</summary>
+          ${controlRows('flicker')}
+        </details>
+
+        <details>
+          <summary style="color:#cc99ff;">Signal</summary>
+          ${controlRows('signal')}
+        </details>
+
+        <details>
+          <summary style="color:#ffaacc;">Composite Video</summary>
+          ${controlRows('composite')}
+        </details>
+
+        <details>
+          <summary style="color:#ffccaa;">Bloom</summary>
+          ${controlRows('bloom')}
+          <label class="row">
+            <span>Bloom color</span>
+            <select class="ctl-bloom-color">
+              ${schemaOptions('bloomColor', Object.keys(BLOOM_TINTS))}
+              <option value="custom">Custom</option>
+            </select>
+            <input type="color" class="ctl-bloom-color-custom" title="Custom bloom color">
+          </label>
+        </details>
+
+        <details>
+          <summary style="color:#88ffaa;">Color & Effects</summary>
+          ${controlRows('color')}
+          <label class="row">
+            <span>Phosphor</span>
+            <select class="ctl-phosphor-mode">
+              ${schemaOptions('phosphor', ['color', ...Object.keys(BLOOM_TINTS)])}
+              <option value="custom">Custom</option>
+            </select>
+            <input type="color" class="ctl-phosphor-custom" title="Custom phosphor color">
+          </label>
+          <label class="row">
+            <span>Palette</span>
+            <select class="ctl-palette">
+              ${schemaOptions('palette', ['none', ...Object.keys(PALETTES)])}
+              <option value="custom" disabled>Custom</option>
+            </select>
+          </label>
+          ${controlRows('palette')}
+        </details>
+
+        <details>
+          <summary style="color:#ff8844;">Barrel Distortion</summary>
+          ${controlRows('barrel')}
+          <button type="button" class="crt-btn ctl-degauss" style="width:100%; margin:6px 0;">Degauss</button>
+        </details>
+
+        <details open>
+          <summary style="color:#44ffaa;">Overlay Mode</summary>
+          <label class="row">
+            <span>Mode</span>
+            <select class="ctl-mode">
+              ${schemaOptions('mode')}
+            </select>
+          </label>
+        </details>
+
+        <details>
+          <summary style="color:#66ddff;">Compare</summary>
+          <label class="row">
+            <span>Compare</span>
+            <select class="ctl-compare">
+              ${schemaOptions('compare')}
+            </select>
+          </label>
+          <label class="row">
+            <span>Compare with</span>
+            <select class="ctl-compare-preset">
+              <option value="">Raw page</option>
+            </select>
+          </label>
+          ${controlRows('compare')}
+        </details>
+
+        <details open>
+          <summary style="color:#ffffff;">Global Opacity</summary>
+          ${controlRows('global')}
+        </details>
+
+        <details class="settings">
+          <summary style="color:#aaccff;">Settings</summary>
+          <div class="buttons">
+            <button type="button" class="crt-btn ctl-export">Export JSON</button>
+            <button type="button" class="crt-btn ctl-import">Import JSON</button>
+            <input type="file" class="ctl-import-file" accept="application/json,.json" hidden>
+          </div>
+          <button type="button" class="crt-btn ctl-reset" style="width:100%; margin:0 0 6px;">Reset to defaults</button>
+          <div class="ctl-settings-status"></div>
+        </details>
+      </div>
+    `;
+  }
+
+  bindControls() {
+    const root = this.shadowRoot;
+    const on = (selector, type, handler) => {
+      const el = root.querySelector(selector);
+      if (el) el.addEventListener(type, handler);
+      return el;
+    };
+
+    // Generated slider rows: both inputs write the value, the overlay's refresh syncs the other one
+    PARAMETER_SCHEMA.filter(param => param.control === 'slider').forEach(({ key, attribute }) => {
+      const onInput = (e) => {
+        const value = parseFloat(e.target.value);
+        if (!Number.isNaN(value)) this._set(key, value);
+      };
+      on(`.ctl-${attribute}`, 'input', onInput);
+      on(`.ctl-${attribute}-number`, 'input', onInput);
+    });
+
+    // Generated toggle rows (flicker, reflection, signal artifacts, composite video, pixelation)
+    PARAMETER_SCHEMA.filter(param => param.control === 'toggle').forEach(({ key, attribute }) => {
+      on(`.ctl-${attribute}`, 'change', (e) => this._set(key, e.target.checked));
+    });
+
+    on('.ctl-safe-mode', 'change', (e) => this._set('safeMode', e.target.checked));
+    on('.ctl-scanline-mask', 'change', (e) => this._set('scanlineMask', e.target.value));
+    on('.ctl-mode', 'change', (e) => this._set('mode', Number(e.target.value)));
+    on('.ctl-compare', 'change', (e) => this._set('compare', e.target.value));
+    on('.ctl-compare-preset', 'change', (e) => this._set('comparePreset', e.target.value || null));
+    on('.ctl-lines', 'change', (e) => this._set('lines', e.target.value || null));
+    // Custom palettes (color lists) are set through the attribute or API
+    on('.ctl-palette', 'change', (e) => this._set('palette', e.target.value));
+
+    // Bloom color: "Custom" keeps the current color and hands over to the picker
+    const onBloomSelect = (e) => { if (e.target.value !== 'custom') this._set('bloomColor', e.target.value); };
+    on('.ctl-bloom-color', 'change', onBloomSelect);
+    on('.ctl-bloom-color', 'input', onBloomSelect);
+    on('.ctl-bloom-color-custom', 'input', (e) => this._set('bloomColor', e.target.value));
+
+    // Phosphor: "Custom" switches to the picker's color
+    const phosphorPicker = root.querySelector('.ctl-phosphor-custom');
+    on('.ctl-phosphor-mode', 'change', (e) => this._set('phosphor', e.target.value === 'custom' && phosphorPicker ? phosphorPicker.value : e.target.value));
+    on('.ctl-phosphor-custom', 'input', (e) => this._set('phosphor', e.target.value));
+
+    on('.ctl-preset', 'change', (e) => {
+      if (e.target.value) this._targets.forEach(overlay => overlay.applyPreset(e.target.value));
+    });
+    on('.ctl-degauss', 'click', () => this._targets.forEach(overlay => overlay.degauss()));
+
+    // Settings file export/import (export takes the shown overlay, import and reset apply to all)
+    const settingsStatus = root.querySelector('.ctl-settings-status');
+    const showStatus = (text, ok) => {
+      settingsStatus.textContent = text;
+      settingsStatus.style.color = ok ? '#88ee99' : '#ff8a80';
+    };
+    on('.ctl-export', 'click', () => {
+      if (!this._targets.length) return;
+      this._targets[0].downloadSettings();
+      showStatus('Settings exported', true);
+    });
+    const importFile = root.querySelector('.ctl-import-file');
+    on('.ctl-import', 'click', () => importFile.click());
+    on('.ctl-import-file', 'change', async () => {
+      const file = importFile.files[0];
+      importFile.value = '';
+      if (!file) return;
+      const text = await file.text();
+      const results = this._targets.map(overlay => overlay.importSettings(text));
+      const result = results[0];
+      if (!result) return;
+      showStatus(result.ok
+        ? `Imported ${result.applied.length} settings from ${file.name}`
+        : `Could not import ${file.name}:\n• ${result.errors.join('\n• ')}`, result.ok);
+    });
+    on('.ctl-reset', 'click', () => {
+      this._targets.forEach(overlay => overlay.resetSettings());
+      const saved = this._targets.some(overlay => overlay.config.persistKey);
+      showStatus(saved ? 'Defaults restored, saved settings cleared' : 'Defaults restored', true);
+    });
+
+    // Undo/redo: header buttons, and the usual shortcuts anywhere in the panel
+    on('.ctl-undo', 'click', () => this.undo());
+    on('.ctl-redo', 'click', () => this.redo());
+    this.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    });
+
+    // Header bar: dock menu, minimize button, and dragging anywhere else on it
+    on('.ctl-dock', 'change', (e) => {
+      this.setAttribute('dock', e.target.value);
+      this.savePosition();
+    });
+    on('.ctl-minimize', 'click', () => {
+      this.toggleAttribute('minimized');
+      this.savePosition();
+    });
+    const bar = root.querySelector('.bar');
+    bar.addEventListener('pointerdown', (e) => this._startDrag(e));
+    bar.addEventListener('pointermove', (e) => this._moveDrag(e));
+    bar.addEventListener('pointerup', (e) => this._endDrag(e));
+    bar.addEventListener('pointercancel', (e) => this._endDrag(e));
+  }
+
+  _startDrag(e) {
+    if (e.button !== 0 || e.target.closest('select, button')) return;
+    const rect = this.getBoundingClientRect();
+    this._drag = { pointerId: e.pointerId, dx: e.clientX - rect.left, dy: e.clientY - rect.top, startX: e.clientX, startY: e.clientY, moved: false };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  }
+
+  _moveDrag(e) {
+    const drag = this._drag;
+    if (!drag || drag.pointerId !== e.pointerId) return;
+    if (!drag.moved && Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < DRAG_THRESHOLD) return;
+    if (!drag.moved) {
+      drag.moved = true;
+      this.shadowRoot.querySelector('.bar').classList.add('dragging');
+    }
+    this.moveTo(e.clientX - drag.dx, e.clientY - drag.dy);
+  }
+
+  _endDrag(e) {
+    const drag = this._drag;
+    if (!drag || drag.pointerId !== e.pointerId) return;
+    this._drag = null;
+    this.shadowRoot.querySelector('.bar').classList.remove('dragging');
+    if (drag.moved) this.savePosition();
+  }
+
+  /** Float the panel with its top-left corner at (x, y) CSS px, kept inside the viewport. */
+  moveTo(x, y) {
+    const rect = this.getBoundingClientRect();
+    const left = Math.max(0, Math.min(window.innerWidth - Math.min(rect.width, window.innerWidth), x));
+    const top = Math.max(0, Math.min(window.innerHeight - Math.min(rect.height, window.innerHeight), y));
+    this.style.setProperty('--crt-controls-x', `${Math.round(left)}px`);
+    this.style.setProperty('--crt-controls-y', `${Math.round(top)}px`);
+    this.setAttribute('dock', 'float');
+  }
+
+  _storageKey() {
+    return `${POSITION_PREFIX}${this.getAttribute('persist-key') || this.getAttribute('for') || 'default'}`;
+  }
+
+  /** Remember dock, floating position and minimized state under persist-key (or `for`). */
+  savePosition() {
+    const key = this._storageKey();
+    const state = {
+      dock: this.getAttribute('dock') || DOCKS[0],
+      x: parseFloat(this.style.getPropertyValue('--crt-controls-x')) || 0,
+      y: parseFloat(this.style.getPropertyValue('--crt-controls-y')) || 0,
+      minimized: this.hasAttribute('minimized'),
+    };
+    try {
+      localStorage.setItem(key, JSON.stringify(state));
+    } catch (err) {
+      console.warn('crt-controls: could not save panel position', err);
+    }
+  }
+
+  /** Restore the remembered panel state; returns false when there is none. */
+  restorePosition() {
+    const key = this._storageKey();
+    let state = null;
+    try {
+      state = JSON.parse(localStorage.getItem(key));
+    } catch (err) {
+      console.warn('crt-controls: could not read panel position', err);
+    }
+    if (!state || !DOCKS.includes(state.dock)) return false;
+    this.style.setProperty('--crt-controls-x', `${Number(state.x) || 0}px`);
+    this.style.setProperty('--crt-controls-y', `${Number(state.y) || 0}px`);
+    this.setAttribute('dock', state.dock);
+    this.toggleAttribute('minimized', Boolean(state.minimized));
+    this._syncBar();
+    return true;
+  }
+
+  _syncBar() {
+    const dock = this.getAttribute('dock');
+    const select = this.shadowRoot.querySelector('.ctl-dock');
+    if (select) select.value = DOCKS.includes(dock) ? dock : DOCKS[0];
+    const button = this.shadowRoot.querySelector('.ctl-minimize');
+    if (button) {
+      const minimized = this.hasAttribute('minimized');
+      button.textContent = minimized ? '+' : '–';
+      button.title = minimized ? 'Expand' : 'Minimize';
+      button.setAttribute('aria-label', button.title);
+      button.setAttribute('aria-expanded', String(!minimized));
+    }
+  }
+
+  // Rebuild the preset dropdowns from the registry, keeping the current selections if they still exist
+  renderPresetOptions() {
+    fillPresetOptions(this.shadowRoot.querySelector('.ctl-preset'), 'Custom');
+    fillPresetOptions(this.shadowRoot.querySelector('.ctl-compare-preset'), 'Raw page');
+  }
+
+  syncPresetSelect() {
+    const select = this.shadowRoot.querySelector('.ctl-preset');
+    const overlay = this._targets[0];
+    if (select && overlay) select.value = overlay._matchingPreset() || '';
+  }
+
+  syncHistoryControls() {
+    const { canUndo, canRedo } = this._targets[0].history;
+    const undo = this.shadowRoot.querySelector('.ctl-undo');
+    const redo = this.shadowRoot.querySelector('.ctl-redo');
+    if (undo) undo.disabled = !canUndo;
+    if (redo) redo.disabled = !canRedo;
+  }
+
+  syncSafeModeControls() {
+    const overlay = this._targets[0];
+    const toggle = this.shadowRoot.querySelector('.ctl-safe-mode');
+    if (toggle) toggle.checked = overlay.isSafeMode();
+    const hint = this.shadowRoot.querySelector('.ctl-safe-mode-hint');
+    if (hint) hint.textContent = overlay._reducedMotion && overlay._reducedMotion.matches ? '(reduced motion)' : '';
+  }
+
+  // Reflect bloomColor: named tints select their option, anything else shows "Custom"
+  syncBloomColorControls() {
+    const select = this.shadowRoot.querySelector('.ctl-bloom-color');
+    const picker = this.shadowRoot.querySelector('.ctl-bloom-color-custom');
+    const color = String(this._targets[0].config.bloomColor).trim().toLowerCase();
+    if (select) select.value = Object.hasOwn(BLOOM_TINTS, color) ? color : 'custom';
+    if (picker) picker.value = toHexColor(parseBloomColor(color) || BLOOM_TINTS.white);
+  }
+
+  syncPhosphorControls() {
+    const select = this.shadowRoot.querySelector('.ctl-phosphor-mode');
+    const picker = this.shadowRoot.querySelector('.ctl-phosphor-custom');
+    const phosphor = String(this._targets[0].config.phosphor).trim().toLowerCase();
+    if (select) select.value = phosphor === 'color' || Object.hasOwn(BLOOM_TINTS, phosphor) ? phosphor : 'custom';
+    if (picker) picker.value = toHexColor(parseBloomColor(phosphor) || BLOOM_TINTS.amber);
+  }
+
+  syncPaletteControls() {
+    const select = this.shadowRoot.querySelector('.ctl-palette');
+    const palette = this._targets[0].config.palette;
+    if (select) select.value = Array.isArray(palette) ? 'custom' : palette;
+  }
+
+  // Counts without a preset option show "Custom"
+  syncLinesControls() {
+    const select = this.shadowRoot.querySelector('.ctl-lines');
+    if (!select) return;
+    const value = this._targets[0].config.lines || '';
+    select.value = [...select.options].some(option => option.value === value && !option.disabled) ? value : 'custom';
+  }
+}
+
+// Panel rows for every schema parameter in `group` that has a control, in schema order (values come from refresh())
+function controlRows(group) {
+  return PARAMETER_SCHEMA.filter(param => param.group === group && param.control).map((param) => {
+    if (param.control === 'toggle') {
+      return `
+        <label class="row">
+          <input type="checkbox" class="ctl-${param.attribute}" ${param.default ? 'checked' : ''}>
+          <span>${param.label}</span>
+        </label>`;
+    }
+    const [min, max] = param.range || [param.min, param.max];
+    return `
+      <label class="row">
+        <span>${param.label}</span>
+        <input type="range" class="ctl-${param.attribute}" min="${min}" max="${max}" step="${param.step}" value="${param.default}">
+        <input type="number" class="ctl-${param.attribute}-number" min="${min}" max="${max}" step="${param.step}" value="${Number(param.default).toFixed(stepDecimals(param.step))}">
+      </label>`;
+  }).join('');
+}
+
+// <option>s for `values` of a schema parameter (its enum values by default), labelled from its `labels`
+function schemaOptions(key, values) {
+  const param = PARAMETER_SCHEMA.find(p => p.key === key);
+  return (values || param.values).map((value) => {
+    const label = param.labels && Object.hasOwn(param.labels, value)
+      ? param.labels[value]
+      : String(value).split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    return `<option value="${value}">${label}</option>`;
+  }).join('');
+}
+
+// <option>s for the suggested `lines` counts, progressive ones labelled with a "p"
+function lineOptions() {
+  const param = PARAMETER_SCHEMA.find(p => p.key === 'lines');
+  return param.suggestions.map(value => `<option value="${value}">${/i$/.test(value) ? value : `${value}p`}</option>`).join('');
+}
+
+// Fill a preset <select> from the registry, grouped, after an entry for `emptyLabel`; keeps the selection if it still exists
+function fillPresetOptions(select, emptyLabel) {
+  if (!select) return;
+  const current = select.value;
+  select.replaceChildren(new Option(emptyLabel, ''));
+  const groups = new Map();
+  CRTOverlay.listPresets().forEach(({ name, label, group }) => {
+    if (!groups.has(group)) {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = group;
+      groups.set(group, optgroup);
+      select.appendChild(optgroup);
+    }
+    groups.get(group).appendChild(new Option(label, name));
+  });
+  select.value = CRTOverlay.getPreset(current) ? current : '';
+}
+
+/** Decimal places shown for values on a slider with this step. */
+function stepDecimals(step) {
+  return (String(step).split('.')[1] || '').length;
+}
+
+if (!customElements.get('crt-controls')) customElements.define('crt-controls', CRTControls);
+
+export default CRTControls;
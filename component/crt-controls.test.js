@@ -0,0 +1,92 @@
+import { describe, it, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { window } from './jsdom-env.js';
+import { PARAMETER_SCHEMA, BLOOM_TINTS, PALETTES } from './crt-overlay.js';
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+afterEach(() => {
+  document.body.replaceChildren();
+  localStorage.clear();
+});
+
+after(() => window.close());
+
+describe('crt-controls', () => {
+  it('is loaded and bound when an overlay asks for controls', async () => {
+    assert.equal(customElements.get('crt-controls'), undefined);
+    const overlay = document.createElement('crt-overlay');
+    overlay.setAttribute('controls', '');
+    document.body.appendChild(overlay);
+    await import('./crt-controls.js');
+    await nextTask();
+    const panel = overlay.controlsPortal;
+    assert.deepEqual(panel.overlays, [overlay]);
+    assert.equal(panel.shadowRoot.querySelector('.ctl-barrel').value, '1.5');
+
+    overlay.removeAttribute('controls');
+    assert.equal(panel.hidden, true);
+  });
+
+  it('writes changes to every overlay listed in `for`', async () => {
+    await import('./crt-controls.js');
+    document.body.innerHTML = '<crt-overlay id="a"></crt-overlay><crt-overlay id="b" barrel="3"></crt-overlay>'
+      + '<crt-controls for="a b"></crt-controls>';
+    const [a, b] = document.querySelectorAll('crt-overlay');
+    const panel = document.querySelector('crt-controls');
+    const slider = panel.shadowRoot.querySelector('.ctl-barrel');
+    assert.equal(slider.value, '1.5');
+
+    slider.value = '4';
+    slider.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.equal(a.config.barrel, 4);
+    assert.equal(b.config.barrel, 4);
+  });
+
+  it('shows inherited object keys as custom colors, not named tints', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    await import('./crt-controls.js');
+    document.body.innerHTML = '<crt-overlay id="a" bloom-color="constructor" phosphor="toString"></crt-overlay>'
+      + '<crt-controls for="a"></crt-controls>';
+    const root = document.querySelector('crt-controls').shadowRoot;
+    assert.equal(root.querySelector('.ctl-bloom-color').value, 'custom');
+    assert.equal(root.querySelector('.ctl-phosphor-mode').value, 'color');
+  });
+
+  it('builds the dropdowns from the schema and the exported tables', async () => {
+    await import('./crt-controls.js');
+    document.body.innerHTML = '<crt-overlay id="a"></crt-overlay><crt-controls for="a"></crt-controls>';
+    const root = document.querySelector('crt-controls').shadowRoot;
+    const values = selector => [...root.querySelector(selector).options].map(option => option.value);
+    const param = key => PARAMETER_SCHEMA.find(p => p.key === key);
+    assert.deepEqual(values('.ctl-scanline-mask'), param('scanlineMask').values);
+    assert.deepEqual(values('.ctl-mode'), param('mode').values.map(String));
+    assert.deepEqual(values('.ctl-bloom-color'), [...Object.keys(BLOOM_TINTS), 'custom']);
+    assert.deepEqual(values('.ctl-palette'), ['none', ...Object.keys(PALETTES), 'custom']);
+    assert.deepEqual(values('.ctl-lines'), ['', ...param('lines').suggestions, 'custom']);
+    assert.equal(root.querySelector('.ctl-scanline-mask option[value="aperture-grille"]').textContent, 'Aperture Grille');
+    assert.equal(root.querySelector('.ctl-lines option[value="240"]').textContent, '240p');
+  });
+
+  it('picks up overlays that connect after the panel, and drops removed ones', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    await import('./crt-controls.js');
+    document.body.innerHTML = '<crt-controls for="late"></crt-controls><crt-controls class="all"></crt-controls>';
+    const [panel, all] = document.querySelectorAll('crt-controls');
+    assert.deepEqual(panel.overlays, []);
+    assert.equal(warn.mock.callCount(), 1);
+
+    const overlay = document.createElement('crt-overlay');
+    overlay.id = 'late';
+    overlay.setAttribute('barrel', '3');
+    document.body.appendChild(overlay);
+    assert.deepEqual(panel.overlays, [overlay]);
+    assert.deepEqual(all.overlays, [overlay]);
+    assert.equal(panel.shadowRoot.querySelector('.ctl-barrel').value, '3');
+
+    overlay.remove();
+    assert.deepEqual(panel.overlays, []);
+    assert.deepEqual(all.overlays, []);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
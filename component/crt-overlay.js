@@ -12,24 +12,23 @@
  *   -1 = behind normal content (auto/0), above explicitly negative backgrounds
  *    0+ = in front of normal content
  * 
- * Barrel filtering: When barrel > 0, applies to page content via CSS selector
+ * Barrel filtering: When barrel != 0, applies to page content via CSS selector
  *   Default: applies to all direct body children except overlay/controls/bloom
  *   Custom: use apply-barrel-to attribute to target specific elements (e.g., ".background")
  * 
  * Internal layer order (always preserved):
- *   scanlines (1) → fringe (2) → vignette (3) → noise (4) → reflection (5) → flicker (6)
+ *   scanlines (1) → fringe (2) → vignette (3) → noise (4) → reflection (5) → flicker (6) → signal (7)
  * 
  * External bloom layer: positioned just before overlay in DOM, inherits overlay z-index
  */
 class CRTOverlay extends HTMLElement {
   static get observedAttributes() {
-    return [
-      'scan-opacity','hairline-opacity','fringe-opacity','fringe-dominant','noise-opacity',
-      'barrel','scan-size','scan-density','phosphor-size','bloom','bloom-color','bloom-radius','bloom-decay','bloom-blur',
-      'scanline-color','vignette-opacity','vignette-radius','vignette-feather','flicker-opacity','color-palette-shift','interlace-speed',
-      'reflection-opacity','reflection-size','reflection-position-x','reflection-position-y',
-      'flicker','reflection','controls','mode','apply-barrel-to','opacity'
-    ];
+    return PARAMETER_SCHEMA.map(param => param.attribute);
+  }
+
+  /** The parameter schema (see PARAMETER_SCHEMA), for building UIs and validating values outside the element. */
+  static get parameters() {
+    return PARAMETER_SCHEMA;
   }
 
   constructor() {
@@ -37,92 +36,125 @@ class CRTOverlay extends HTMLElement {
     this.attachShadow({ mode: 'open' });
 
     // ===== CONFIGURATION OBJECT =====
-    this.config = {
-      // Scanlines & structure
-      scanOpacity: 0.75,
-      scanlineColor: 0, // 0-1, controls darkness of scanlines (0=black, 1=transparent)
-      hairlineOpacity: 0.12,
-      fringeOpacity: 0.18,
-      fringeDominant: 0.5, // 0=blue dominant, 1=red dominant, controls chromatic aberration tint
-      fringeJitterSpeed: 3.2, // animation speed in seconds
-      fringeJitterAmount: 2, // translation amount in px
-      noiseOpacity: 0.15,
-      barrel: 1.5,
-      scanSize: 4,
-      scanDensity: 2,
-      phosphorSize: 1,
-      phosphorOpacityRed: 0.15,
-      phosphorOpacityGreen: 0.15,
-      phosphorOpacityBlue: 0.15,
-      scanlineMask: 'shadow-mask', // 'aperture-grille', 'shadow-mask', 'slot-mask', 'sharp', 'soft'
-      
-      // Bloom & glow effects
-      bloom: 0.15,
-      bloomColor: 'white', // 'white', 'amber', 'green', 'blue'
-      bloomRadius: 1200, // size of bloom glow in px
-      bloomDecay: 60, // falloff distance (0-100, %)
-      bloomBlur: 6, // blur amount for bloom effect (px)
-      bloomBrightness: 1.1, // brightness multiplier (0.5-2.0)
-      
-      // Color & visual effects
-      colorPaletteShift: 0, // 0=none, positive=warm/amber, negative=cool/blue
-      vignetteOpacity: 0.4,
-      vignetteRadius: 80, // vignette ellipse size (%)
-      vignetteFeather: 35, // vignette feather distance (%)
-      vignetteColorLight: 0.3, // inner vignette opacity (0-1)
-      vignetteColorDark: 0.6, // outer vignette opacity (0-1)
-      reflectionOpacity: 0.02, // reflection glow opacity (0-1)
-      reflectionSize: 1200, // reflection ellipse size in px
-      reflectionPositionX: 50, // horizontal position (0-100, %)
-      reflectionPositionY: 10, // vertical position (0-100, %)
-      reflection: false, // enable/disable reflection layer
-      
-      // Animation & behavior
-      flickerOpacity: 0.06,
-      interlaceSpeed: 0.08, // 0.08 or 0.12 seconds per frame
-      flicker: true,
-      controls: false,
-      mode: 1, // 0=disabled, 1=behind content (z-index:-1), 2=on top (z-index:9999)
-      applyBarrelTo: null, // optional selector
-      
-      // Global opacity
-      opacity: 1.0, // global opacity for entire overlay (0-1)
-      // Optional selector for a UI portal (e.g., tooltip/toast container). By
-      // default this is null to avoid modifying external elements. Set via
-      // the `portal-selector` attribute when you want the overlay to adjust
-      // that element for z-index/filtering purposes.
-      portalSelector: null,
-    };
+    // One value per PARAMETER_SCHEMA entry, starting from its default
+    this.config = defaultConfig();
 
     // ===== INSTANCE STATE =====
-    this.animationFrames = { noise: null, flicker: null };
-    this.noisePool = [];
-    this.currentNoiseUrl = null;
-    this.controlsPortal = null;
+    this.scheduler = new CRTAnimationScheduler((running) => {
+      const container = this.shadowRoot.querySelector('.crt-container');
+      if (container) container.classList.toggle('crt-paused', !running);
+    });
+    this.currentNoiseUrl = null; // grain frame currently shown on the noise layer
+    this.controlsPortal = null; // <crt-controls> created for the `controls` attribute
+    this._controlPanels = new Set(); // <crt-controls> panels controlling this overlay
     this.externalBloomLayer = null;
     this._globalStyle = null; // per-instance injected style
+    this._filterSvg = null; // per-instance barrel filter <svg>
+    this._source = null; // active source pipeline { element, output, renderer, opacity }
+    this.activePreset = null; // name of the last preset applied by name
+    this._defaults = null; // config before any persisted state was restored (reset target)
+    this._persistTimer = null;
+    this._history = { past: [], future: [], current: null, keys: new Set(), timer: null }; // undo/redo steps { before, after, keys }
+    this._historyBatch = false; // applyPreset() in progress: its writes become one step
+    this._applyingHistory = false; // undo()/redo() in progress: nothing is recorded
+    this._transition = null; // running transitionTo() { from, to, target, progress, resolve }
+    this._power = null; // running power animation { state, progress, reduced, resolve, promise }
+    this._powerLayer = null; // black-out layer with the beam window, present while not fully on
+    this._compareDivider = null; // draggable divider, present while `compare` is on
+    this._compareTwin = null; // companion overlay rendering `compare-preset` past the divider
+    this._compareOf = null; // on a companion: the overlay it is compared against
+    this._compareSkipped = null; // compare-preset already warned about (unknown, or scope self), until it changes
+    this._powerTargets = null; // elements squashed by the power animation { el, transform, origin, written, writtenOrigin }
+    this._degauss = null; // running degauss { hue, shudder, start, resolve, promise }
+    this._signal = null; // signal artifact state while any is enabled { hum, roll, tear, tracking, ... }
+    this._signalStage = null; // roll/tear primitives appended to the page filter, while in use
+    this._linesStage = null; // row pixelation primitives right after the barrel stage, while in use
+    this._paletteStage = null; // palette quantization primitives after the pixelation stage, while in use
+    this._compositeStage = null; // composite video primitives inserted after the palette stage, while in use
+    this._phosphorStage = null; // luminance → phosphor ramp primitives after the composite stage, while in use
+    this._convergenceStage = null; // per-channel RGB offset primitives after the phosphor stage, while in use
+    this._compareStage = null; // compare mask primitives at the end of the page filter, while `compare` is on
+    this._renderQueue = null; // attribute names waiting for the batched re-render after property writes
   }
 
   connectedCallback() {
     if (this._initialized) return;
+    // Properties set before the element was defined shadow the accessors; replay them through them
+    PARAMETER_SCHEMA.forEach(({ key }) => {
+      if (!Object.prototype.hasOwnProperty.call(this, key)) return;
+      const value = this[key];
+      delete this[key];
+      this[key] = value;
+    });
+    if (!this._defaults) {
+      // First connection: remember the attribute defaults, then layer the saved state on top
+      this._defaults = this.exportSettings().config;
+      this.restoreSettings();
+    }
     this.render();
     this.injectSVGFilter();
     this.ensureGlobalFilterStyle();
     this.createExternalBloomLayer();
-    this.createControlsPortal();
+    this.toggleControls();
     this.initializeEffects();
     this.updateStyles(); // Apply all CSS custom properties on initial load
+    this.observeVisibility();
+    this.watchMotionPreference();
+    this.watchResolution();
     this.startAnimations();
+    this.shadowRoot.querySelector('.crt-container').classList.toggle('crt-paused', !this.scheduler.running);
     this.updateModeZIndex();
     this.updateBarrel();
     this.toggleReflection(); // Apply initial reflection state
+    this.updateCompare();
+    if (this.config.source) this.attachSource();
+    if (this.config.power === 'off') this._showPowerOff();
+    if (!this._history.current) this._history.current = this._historySnapshot(); // undo stops at the loaded state
     this._initialized = true;
+    notifyOverlaysChanged(this, 'connect');
   }
 
   disconnectedCallback() {
+    this.cancelTransition();
+    this._endDegauss(false);
+    this._teardownPower();
+    this.flushPersist();
+    this.flushHistory();
     this.stopAnimations();
-    const svg = document.getElementById(`crt-barrel-${this._uid}`)?.closest('svg');
-    if (svg) svg.remove();
+    this.detachSource();
+    this.unobserveVisibility();
+    this.unwatchMotionPreference();
+    this.unwatchResolution();
+    if (this._filterSvg) {
+      this._filterSvg.remove();
+      this._filterSvg = null;
+    }
+    this._signalStage = null;
+    this._linesStage = null;
+    this._paletteStage = null;
+    this._compositeStage = null;
+    this._phosphorStage = null;
+    this._convergenceStage = null;
+    this._compareStage = null;
+    this._compareSkipped = null;
+    this._removeCompareDivider();
+    if (this._compareTwin) {
+      this._compareTwin.remove();
+      this._compareTwin = null;
+    }
+    if (this._onResize) {
+      window.removeEventListener('resize', this._onResize);
+      this._onResize = null;
+    }
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+    if (this._barrelMapFrame) {
+      cancelAnimationFrame(this._barrelMapFrame);
+      this._barrelMapFrame = null;
+    }
+    this._barrelMapKey = null;
 
     // Remove per-instance CSS var and body class
     const varName = `--crt-filter-chain-${this._uid}`;
@@ -149,63 +181,141 @@ class CRTOverlay extends HTMLElement {
     }
 
     this._initialized = false;
+    notifyOverlaysChanged(this, 'disconnect');
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
     if (oldValue === newValue) return;
-    const map = {
-      'scan-opacity':'scanOpacity','scanline-color':'scanlineColor','hairline-opacity':'hairlineOpacity','fringe-opacity':'fringeOpacity','fringe-dominant':'fringeDominant','fringe-jitter-speed':'fringeJitterSpeed','fringe-jitter-amount':'fringeJitterAmount','noise-opacity':'noiseOpacity',
-      'barrel':'barrel','scan-size':'scanSize','scan-density':'scanDensity','phosphor-size':'phosphorSize','phosphor-opacity-red':'phosphorOpacityRed','phosphor-opacity-green':'phosphorOpacityGreen','phosphor-opacity-blue':'phosphorOpacityBlue','bloom':'bloom','bloom-color':'bloomColor','bloom-radius':'bloomRadius','bloom-decay':'bloomDecay','bloom-blur':'bloomBlur','bloom-brightness':'bloomBrightness','vignette-opacity':'vignetteOpacity','vignette-radius':'vignetteRadius','vignette-feather':'vignetteFeather','vignette-color-light':'vignetteColorLight','vignette-color-dark':'vignetteColorDark','reflection-opacity':'reflectionOpacity','reflection-size':'reflectionSize','reflection-position-x':'reflectionPositionX','reflection-position-y':'reflectionPositionY','scanline-mask':'scanlineMask','flicker-opacity':'flickerOpacity','color-palette-shift':'colorPaletteShift','interlace-speed':'interlaceSpeed',
-      'flicker':'flicker','reflection':'reflection','controls':'controls','mode':'mode','apply-barrel-to':'applyBarrelTo','opacity':'opacity'
-    };
-    const key = map[name];
-    if (!key) return;
-    if (name === 'flicker' || name === 'controls' || name === 'reflection') {
+    const param = PARAMETERS_BY_ATTRIBUTE.get(name);
+    if (!param) return;
+    const key = param.key;
+    const previous = this.config[key];
+    if (param.type === 'boolean') {
       this.config[key] = newValue !== null;
-    } else if (name === 'apply-barrel-to') {
-      this.config.applyBarrelTo = newValue || null;
-    } else if (name === 'mode') {
-      this.config.mode = parseInt(newValue, 10) || 1;
+    } else if (name === 'power') {
+      this.config.power = newValue === 'off' ? 'off' : 'on';
+      if (this._initialized && !this._reflectingPower && previous !== this.config.power) this._animatePower(this.config.power);
+      return;
+    } else if (name === 'persist-key') {
+      this.config.persistKey = newValue || null;
+      if (this._initialized && !this.restoreSettings()) this.schedulePersist();
+      return;
+    } else if (name === 'compare-position') {
+      // Divider drags only move the split, so they skip the full re-render
+      this.config.comparePosition = parseNumberAttribute(param, newValue, previous);
+      this._refreshPanels(key);
+      if (this._initialized) this.updateCompare();
+      return;
     } else if (name === 'bloom-color') {
+      if (newValue && !parseBloomColor(newValue)) console.warn(`crt-overlay: invalid bloom-color "${newValue}", using white`);
       this.config.bloomColor = newValue || 'white';
+    } else if (name === 'phosphor') {
+      const phosphor = newValue ? newValue.trim() : 'color';
+      if (phosphor.toLowerCase() !== 'color' && !parseBloomColor(phosphor)) {
+        console.warn(`crt-overlay: invalid phosphor "${newValue}", using full color`);
+        this.config.phosphor = 'color';
+      } else {
+        this.config.phosphor = phosphor.toLowerCase() === 'color' ? 'color' : phosphor;
+      }
+    } else if (name === 'palette') {
+      const palette = parsePaletteAttribute(newValue);
+      if (palette !== 'none' && !resolvePalette(palette)) {
+        console.warn(`crt-overlay: invalid palette "${newValue}", using none`);
+        this.config.palette = 'none';
+      } else {
+        this.config.palette = palette;
+      }
+    } else if (name === 'lines') {
+      const lines = newValue === null || newValue === '' ? null : parseLines(newValue);
+      if (newValue && !lines) console.warn(`crt-overlay: invalid lines "${newValue}", using scan-size`);
+      this.config.lines = lines ? `${lines.count}${lines.interlaced ? 'i' : ''}` : null;
+    } else if (param.type === 'enum') {
+      const value = newValue === null ? param.default : param.values.find(v => String(v) === newValue.trim());
+      if (value === undefined) console.warn(`crt-overlay: invalid ${name} "${newValue}", using ${param.default}`);
+      this.config[key] = value === undefined ? param.default : value;
+    } else if (param.type === 'number') {
+      this.config[key] = parseNumberAttribute(param, newValue, previous);
     } else {
-      const numeric = parseFloat(newValue);
-      this.config[key] = Number.isNaN(numeric) ? this.config[key] : numeric;
+      this.config[key] = newValue || null;
     }
+    if (param.settings !== false) this._recordHistory(key);
+    this._refreshPanels(key);
 
-    if (this.shadowRoot.querySelector('.crt-container')) {
-      this.updateStyles();
-      if (name === 'barrel') this.updateBarrel();
-      if (name === 'color-palette-shift') this.applyGlobalFilters();
-      if (name === 'flicker') this.toggleFlicker();
-      if (name === 'reflection') this.toggleReflection();
-      if (name === 'controls') this.toggleControls();
-      if (name === 'mode') this.updateModeZIndex();
-      if (name === 'apply-barrel-to') this.applyGlobalFilters();
+    if (name === 'scope' && this._initialized && previous !== this.config.scope) {
+      // Scope changes where every layer lives, so tear down and rebuild from scratch
+      this.disconnectedCallback();
+      this.connectedCallback();
+      return;
+    }
+
+    if (name === 'fps') this.scheduler.fps = this.config.fps;
+
+    if (this._renderQueue) {
+      this._renderQueue.add(name);
+    } else {
+      this._renderAttributes([name]);
     }
   }
 
+  // Re-render after attribute changes: styles once, then each changed attribute's own side effect
+  _renderAttributes(names) {
+    if (!this.shadowRoot.querySelector('.crt-container')) return;
+    const changed = new Set(names);
+    this.updateStyles();
+    if (changed.has('barrel') || changed.has('barrel-x') || changed.has('barrel-y')) this.updateBarrel();
+    if (changed.has('color-palette-shift') || changed.has('apply-barrel-to')) this.applyGlobalFilters();
+    if (changed.has('flicker')) this.toggleFlicker();
+    if (changed.has('reflection')) this.toggleReflection();
+    if (changed.has('controls')) this.toggleControls();
+    if (changed.has('mode')) this.updateModeZIndex();
+    if (changed.has('source') && this._initialized) this.attachSource();
+    if (['compare', 'compare-preset', 'mode', 'safe-mode'].some(attr => changed.has(attr))) this.updateCompare();
+  }
+
+  // Property write: reflect to the attribute right away (so reads see the new config), but
+  // collect the re-render for every write in this task into one pass
+  _setProperty(param, value) {
+    if (!this._renderQueue) {
+      this._renderQueue = new Set();
+      queueMicrotask(() => {
+        const names = this._renderQueue;
+        this._renderQueue = null;
+        if (names.size) this._renderAttributes(names);
+      });
+    }
+    this._setConfigValue(param.key, param.type === 'boolean' ? value !== 'false' && Boolean(value) : value);
+  }
+
   render() {
+    const scoped = this.config.scope === 'self';
     const template = `
       <style>
-        :host{display:block;position:fixed;inset:0;pointer-events:none}
-        .crt-container{--scan-opacity:${this.config.scanOpacity};--scanline-color:${this.config.scanlineColor};--hairline-opacity:${this.config.hairlineOpacity};--fringe-opacity:${this.config.fringeOpacity};--fringe-dominant:${this.config.fringeDominant};--noise-opacity:${this.config.noiseOpacity};--scan-size:${this.config.scanSize}px;--scan-density:${this.config.scanDensity};--phosphor-size:${this.config.phosphorSize}px;--bloom-strength:${this.config.bloom};--bloom-radius:${this.config.bloomRadius}px;--bloom-decay:${this.config.bloomDecay}%;--vignette-opacity:${this.config.vignetteOpacity};--vignette-radius:${this.config.vignetteRadius}%;--vignette-feather:${this.config.vignetteFeather}%;--flicker-opacity:${this.config.flickerOpacity};--color-palette-shift:${this.config.colorPaletteShift}deg;--interlace-speed:${this.config.interlaceSpeed}s;position:absolute;inset:0;pointer-events:none;filter:hue-rotate(var(--color-palette-shift));opacity:${this.config.opacity}}
+        ${scoped
+          ? ':host{display:block;position:relative;isolation:isolate;overflow:hidden}.crt-bloom{position:absolute;inset:0;pointer-events:none}'
+          : ':host{display:block;position:fixed;inset:0;pointer-events:none}'}
+        .crt-container{--scan-opacity:${this.config.scanOpacity};--scanline-color:${this.config.scanlineColor};--hairline-opacity:${this.config.hairlineOpacity};--fringe-opacity:${this.config.fringeOpacity};--fringe-dominant:${this.config.fringeDominant};--noise-opacity:${this.config.noiseOpacity};--scan-size:${this.getScanSize()}px;--scan-density:${this.config.scanDensity};--phosphor-size:${this.config.phosphorSize}px;--bloom-strength:${this.config.bloom};--bloom-radius:${this.config.bloomRadius}px;--bloom-decay:${this.config.bloomDecay}%;--vignette-opacity:${this.config.vignetteOpacity};--vignette-radius:${this.config.vignetteRadius}%;--vignette-feather:${this.config.vignetteFeather}%;--flicker-opacity:${this.config.flickerOpacity};--color-palette-shift:${this.config.colorPaletteShift}deg;--interlace-speed:${this.config.interlaceSpeed}s;position:absolute;inset:0;pointer-events:none;filter:hue-rotate(var(--color-palette-shift));opacity:${this.config.opacity}}
         .crt-layer{position:absolute;inset:0;pointer-events:none}
-        .crt-scanlines{z-index:1;mix-blend-mode:multiply;opacity:var(--scan-opacity);background-image:repeating-linear-gradient(to bottom,transparent 0px,transparent calc(var(--scan-size) - 1px),rgba(0,0,0,calc(0.65 * (1 - var(--scanline-color)))) calc(var(--scan-size) - 1px),rgba(0,0,0,calc(0.65 * (1 - var(--scanline-color)))) var(--scan-size));background-size:100% var(--scan-size);background-position:0 0}
-        /* hairline interlace - supports legacy/crisper toggle */
-        .crt-scanlines::after{content:"";position:absolute;inset:0;mix-blend-mode:screen;opacity:var(--hairline-opacity);background-image:repeating-linear-gradient(to bottom,rgba(255,255,255,1) 0px,rgba(255,255,255,0.85) 0.8px,transparent 0.8px,transparent calc(var(--scan-size) * var(--scan-density)));background-size:100% calc(var(--scan-size) * var(--scan-density));animation:interlace var(--interlace-speed) steps(2) infinite;will-change:transform}
-        @keyframes interlace{0%,100%{transform:translateY(0)}50%{transform:translateY(1px)}}
+        .crt-scanlines{z-index:1;mix-blend-mode:multiply;opacity:var(--scan-opacity)}
+        /* hairlines (and the second interlace field); patterns come from applyScanlineMask() */
+        .crt-scanlines::before,.crt-scanlines::after{content:"";position:absolute;inset:0;mix-blend-mode:screen;opacity:var(--hairline-opacity);will-change:transform,opacity}
         .crt-fringe{z-index:2;mix-blend-mode:lighten;opacity:var(--fringe-opacity);background-image:radial-gradient(ellipse 70% 80% at 50% 50%,transparent 30%,rgba(255,50,80,0.35) 65%,rgba(255,30,60,0.5) 100%),radial-gradient(ellipse 75% 85% at 50% 50%,transparent 30%,rgba(0,150,255,0.3) 65%,rgba(0,120,255,0.45) 100%),linear-gradient(135deg, rgba(74,163,225,0.25), transparent 60%),linear-gradient(225deg, rgba(255,138,31,0.20), transparent 60%);background-blend-mode:screen;animation:fringeJitter var(--fringe-jitter-speed) ease-in-out infinite;filter:hue-rotate(calc((var(--fringe-dominant) - 0.5) * 180deg)) saturate(calc(0.8 + var(--fringe-dominant) * 0.4))}
-        .crt-fringe::before{content:"";position:absolute;inset:0;opacity:0.35;background-image:repeating-linear-gradient(90deg,rgba(255,0,0,var(--phosphor-red)) 0px,rgba(255,0,0,var(--phosphor-red)) var(--phosphor-size),transparent var(--phosphor-size),transparent calc(var(--phosphor-size) * 2),rgba(0,255,0,var(--phosphor-green)) calc(var(--phosphor-size) * 2),rgba(0,255,0,var(--phosphor-green)) calc(var(--phosphor-size) * 3),transparent calc(var(--phosphor-size) * 3),transparent calc(var(--phosphor-size) * 4),rgba(0,0,255,var(--phosphor-blue)) calc(var(--phosphor-size) * 4),rgba(0,0,255,var(--phosphor-blue)) calc(var(--phosphor-size) * 5),transparent calc(var(--phosphor-size) * 5),transparent calc(var(--phosphor-size) * 6)),repeating-linear-gradient(0deg,transparent 0px,transparent calc(var(--scan-size) - 0.5px),rgba(0,0,0,0.2) calc(var(--scan-size) - 0.5px),rgba(0,0,0,0.2) var(--scan-size));background-size:calc(var(--phosphor-size) * 6) 100%,100% var(--scan-size);mix-blend-mode:screen}
+        .crt-fringe::before{content:"";position:absolute;inset:0;opacity:0.35;mix-blend-mode:screen}
         @keyframes fringeJitter{0%,100%{transform:translateX(0)}50%{transform:translateX(var(--fringe-jitter-amount))}}
         .crt-noise{z-index:4;mix-blend-mode:soft-light;opacity:var(--noise-opacity);background-repeat:repeat;background-size:512px 512px;will-change:background-position}
         .crt-vignette{z-index:3;background:radial-gradient(ellipse var(--vignette-radius) calc(var(--vignette-radius) + 5%) at 50% 50%,transparent calc(var(--vignette-feather) - 20%),rgba(0,0,0,var(--vignette-color-light)) calc(var(--vignette-feather) + 30%),rgba(0,0,0,var(--vignette-color-dark)) 100%);opacity:var(--vignette-opacity);filter:hue-rotate(var(--color-palette-shift))}
         .crt-reflection{z-index:5;background:radial-gradient(var(--reflection-size) 300px at var(--reflection-position-x) var(--reflection-position-y),rgba(255,255,255,var(--reflection-opacity)) 0%,transparent 50%);mix-blend-mode:screen}
         .crt-flicker{z-index:6;background:rgba(255,255,255,var(--flicker-opacity));mix-blend-mode:screen;opacity:0;pointer-events:none}
         .crt-flicker.flash{animation:flickerFlash 48ms ease-out 1}
-        @keyframes flickerFlash{0%,100%{opacity:0;filter:brightness(1)}30%{opacity:0.25;filter:brightness(1.04)}}
+        .crt-signal{z-index:7;display:none;overflow:hidden}
+        .crt-hum{position:absolute;left:0;right:0;top:-50%;height:150%;display:none;opacity:var(--hum-bars-intensity);background:repeating-linear-gradient(to bottom,rgba(0,0,0,0) 0%,rgba(0,0,0,0.55) 16.667%,rgba(0,0,0,0) 33.333%);will-change:transform}
+        .crt-hold-bar{position:absolute;left:0;right:0;top:-8%;height:8%;display:none;background:linear-gradient(to bottom,#000 0%,#000 80%,rgba(255,255,255,0.35) 85%,#000 90%)}
+        .crt-tracking{position:absolute;left:0;right:0;bottom:0;height:var(--tracking-height,6%);display:none;opacity:var(--tracking-noise-intensity);mix-blend-mode:screen;background-repeat:repeat;filter:grayscale(1) contrast(4) brightness(1.6);-webkit-mask-image:linear-gradient(to bottom,transparent,#000 35%,#000 75%,transparent);mask-image:linear-gradient(to bottom,transparent,#000 35%,#000 75%,transparent)}
+        @keyframes flickerFlash{0%,100%{opacity:0;filter:brightness(1)}30%{opacity:var(--flicker-peak,0.25);filter:brightness(1.04)}}
+        .crt-safe .crt-scanlines::before,.crt-safe .crt-scanlines::after,.crt-safe .crt-fringe{animation:none!important}
+        .crt-paused .crt-layer,.crt-paused .crt-layer::before,.crt-paused .crt-layer::after{animation-play-state:paused!important}
         .crt-controls{display:none!important}
       </style>
+      ${scoped ? '<div class="crt-content"><slot></slot></div><div class="crt-bloom"></div>' : ''}
       <div class="crt-container">
         <div class="crt-layer crt-scanlines"></div>
         <div class="crt-layer crt-fringe"></div>
@@ -213,6 +323,11 @@ class CRTOverlay extends HTMLElement {
         <div class="crt-layer crt-flicker"></div>
         <div class="crt-layer crt-vignette"></div>
         <div class="crt-layer crt-reflection"></div>
+        <div class="crt-layer crt-signal">
+          <div class="crt-hum"></div>
+          <div class="crt-hold-bar"></div>
+          <div class="crt-tracking"></div>
+        </div>
       </div>
       <div class="crt-controls"></div>
     `;
@@ -220,325 +335,162 @@ class CRTOverlay extends HTMLElement {
     this.shadowRoot.innerHTML = template;
   }
 
+  /** Scoped overlays keep their filter inside the shadow root so url(#id) resolves in the same tree. */
+  _filterRoot() {
+    return this.config.scope === 'self' ? this.shadowRoot : document;
+  }
+
   injectSVGFilter() {
-    if (document.getElementById(`crt-barrel-${this._uid}`)) return;
+    const root = this._filterRoot();
+    if (root.getElementById(`crt-barrel-${this._uid}`)) return;
     const svg = document.createElementNS('http://www.w3.org/2000/svg','svg');
     svg.setAttribute('width','0'); svg.setAttribute('height','0'); svg.style.position='absolute'; svg.style.pointerEvents='none'; svg.setAttribute('aria-hidden','true');
     const defs = document.createElementNS('http://www.w3.org/2000/svg','defs');
+    // Primitive units are the target's bounding box, so the map always spans the filtered element and
+    // the displacement scale is a fraction of its size. sRGB keeps the map's channel values unconverted.
     const filter = document.createElementNS('http://www.w3.org/2000/svg','filter'); filter.id = `crt-barrel-${this._uid}`;
-    const turb = document.createElementNS('http://www.w3.org/2000/svg','feTurbulence'); turb.id = `crt-turb-${this._uid}`; turb.setAttribute('type','fractalNoise'); turb.setAttribute('baseFrequency','0.35'); turb.setAttribute('numOctaves','1'); turb.setAttribute('stitchTiles','stitch'); turb.setAttribute('result','noise');
-    const disp1 = document.createElementNS('http://www.w3.org/2000/svg','feDisplacementMap'); disp1.id = `crt-disp-${this._uid}`; disp1.setAttribute('in','SourceGraphic'); disp1.setAttribute('in2','noise'); disp1.setAttribute('scale',String(this.config.barrel)); disp1.setAttribute('xChannelSelector','R'); disp1.setAttribute('yChannelSelector','G'); disp1.setAttribute('result','displaced');
-    const disp2 = document.createElementNS('http://www.w3.org/2000/svg','feDisplacementMap'); disp2.setAttribute('in','displaced'); disp2.setAttribute('in2','noise'); disp2.setAttribute('scale','1'); disp2.setAttribute('xChannelSelector','B'); disp2.setAttribute('yChannelSelector','A'); disp2.setAttribute('result','pincushion');
-    const transfer = document.createElementNS('http://www.w3.org/2000/svg','feComponentTransfer'); transfer.setAttribute('in','pincushion');
+    filter.setAttribute('primitiveUnits','objectBoundingBox'); filter.setAttribute('x','0'); filter.setAttribute('y','0'); filter.setAttribute('width','1'); filter.setAttribute('height','1'); filter.setAttribute('color-interpolation-filters','sRGB');
+    const map = document.createElementNS('http://www.w3.org/2000/svg','feImage'); map.id = `crt-map-${this._uid}`; map.setAttribute('x','0'); map.setAttribute('y','0'); map.setAttribute('width','1'); map.setAttribute('height','1'); map.setAttribute('preserveAspectRatio','none'); map.setAttribute('result','barrelMap');
+    const disp = document.createElementNS('http://www.w3.org/2000/svg','feDisplacementMap'); disp.id = `crt-disp-${this._uid}`; disp.setAttribute('in','SourceGraphic'); disp.setAttribute('in2','barrelMap'); disp.setAttribute('scale','0'); disp.setAttribute('xChannelSelector','R'); disp.setAttribute('yChannelSelector','G'); disp.setAttribute('result','displaced');
+    const transfer = document.createElementNS('http://www.w3.org/2000/svg','feComponentTransfer'); transfer.setAttribute('in','displaced'); transfer.setAttribute('result','graded');
     const funcR = document.createElementNS('http://www.w3.org/2000/svg','feFuncR'); funcR.setAttribute('type','linear'); funcR.setAttribute('slope','1.02');
     const funcG = document.createElementNS('http://www.w3.org/2000/svg','feFuncG'); funcG.setAttribute('type','linear'); funcG.setAttribute('slope','1.02');
     const funcB = document.createElementNS('http://www.w3.org/2000/svg','feFuncB'); funcB.setAttribute('type','linear'); funcB.setAttribute('slope','1.02');
     transfer.appendChild(funcR); transfer.appendChild(funcG); transfer.appendChild(funcB);
-    filter.appendChild(turb); filter.appendChild(disp1); filter.appendChild(disp2); filter.appendChild(transfer);
+    filter.appendChild(map); filter.appendChild(disp); filter.appendChild(transfer);
     defs.appendChild(filter); svg.appendChild(defs);
-    document.body.insertBefore(svg, document.body.firstChild);
+    if (root === document) {
+      document.body.insertBefore(svg, document.body.firstChild);
+    } else {
+      root.insertBefore(svg, root.firstChild);
+    }
+    this._filterSvg = svg;
+
+    if (!this._onResize) {
+      this._onResize = () => {
+        if (this._barrelMapFrame) return;
+        this._barrelMapFrame = requestAnimationFrame(() => { this._barrelMapFrame = null; this.updateBarrel(); this.updateLines(); this.updatePalette(); this.updateComposite(); this.updateConvergence(); });
+      };
+      window.addEventListener('resize', this._onResize);
+      if (root !== document && typeof ResizeObserver !== 'undefined') {
+        this._resizeObserver = new ResizeObserver(this._onResize);
+        this._resizeObserver.observe(this);
+      }
+    }
+  }
+
+  /**
+   * Horizontal/vertical lens curvature derived from `barrel` (or the `barrel-x` / `barrel-y` overrides).
+   * Positive values bulge the picture like a tube (barrel), negative values pinch it (pincushion).
+   */
+  getBarrelCurvature() {
+    const pick = (v) => (v === null || v === undefined ? this.config.barrel : v);
+    // 1 unit of barrel moves the screen corners by 3% of the half-width/height
+    let x = pick(this.config.barrelX) * 0.03;
+    let y = pick(this.config.barrelY) * 0.03;
+    // Degauss shudder scales the curvature (keeping the map's aspect) or, on a flat screen, bulges it
+    const shudder = this._degauss ? this._degauss.shudder : 0;
+    if (shudder && (x !== 0 || y !== 0)) {
+      x *= 1 + shudder;
+      y *= 1 + shudder;
+    } else if (shudder) {
+      x = y = 0.01 * (1 + shudder);
+    }
+    return { x, y };
   }
 
-  initializeEffects() { this.generateNoisePool(); this.bindControls(); }
+  /** Hue rotation applied to the page and overlay: color-palette-shift plus any degauss wobble. */
+  getHueShift() {
+    return this.config.colorPaletteShift + (this._degauss ? this._degauss.hue : 0);
+  }
 
-  generateNoisePool() {
-    if (this.noisePool.length > 0) return;
-    
+  hasBarrel() {
+    const { x, y } = this.getBarrelCurvature();
+    return x !== 0 || y !== 0;
+  }
+
+  /**
+   * True when page content needs the SVG filter: barrel curvature or any optional stage (lines, palette, composite,
+   * phosphor, convergence, signal), or a hue shift while comparing (it has to stay on this side of the divider).
+   */
+  hasPageFilter() {
+    return this.hasBarrel() || Boolean(this._linesStage || this._paletteStage || this._compositeStage || this._phosphorStage || this._convergenceStage || this._signalStage)
+      || Boolean(this._compareStage && this.getHueShift() !== 0);
+  }
+
+  // Optional filter stages run barrel → lines → palette → composite → phosphor → convergence → signal → compare; a stage is inserted
+  // before the first primitive of the first later stage present (or appended)
+  _filterStageAnchor(...laterStages) {
+    const stage = laterStages.find(Boolean);
+    return stage ? stage.nodes[0] : null;
+  }
+
+  /**
+   * Build the radial displacement map for feDisplacementMap.
+   * Each pixel stores where the output should sample from: offset = p * k * r², with r normalised to
+   * the half-diagonal of a width×height box so the warp stays circular on any aspect ratio.
+   * Curvature is stored relative to the strongest axis; its magnitude goes into the filter `scale`,
+   * so slider drags only touch one attribute while the map is rebuilt on resize or axis ratio changes.
+   */
+  buildBarrelMap(width, height, ratioX, ratioY) {
+    const longest = Math.max(width, height, 1);
+    const factor = Math.min(1, 512 / longest);
+    const w = Math.max(2, Math.round(width * factor));
+    const h = Math.max(2, Math.round(height * factor));
     const canvas = document.createElement('canvas');
-    const size = 256;
-    canvas.width = size;
-    canvas.height = size;
+    canvas.width = w;
+    canvas.height = h;
     const ctx = canvas.getContext('2d');
-    
-    // Generate 60 noise frames for smooth 60fps animation
-    for (let n = 0; n < 60; n++) {
-      const img = ctx.createImageData(size, size);
-      
-      // Fill with random grayscale noise (RGBA)
-      for (let i = 0; i < img.data.length; i += 4) {
-        const v = (Math.random() * 255) | 0;
-        img.data[i] = v * 0.6;     // R: slightly dimmed
-        img.data[i + 1] = v * 0.6; // G: slightly dimmed
-        img.data[i + 2] = v * 0.7; // B: slightly more blue
-        img.data[i + 3] = 80;      // A: semi-transparent
-      }
-      
-      ctx.putImageData(img, 0, 0);
-      this.noisePool.push(canvas.toDataURL('image/png'));
-    }
-  }
-
-  bindControls() { const root = this.controlsPortal || this.shadowRoot; }
-
-  createControlsPortal() {
-    if (this.controlsPortal) return;
-
-    const portal = document.createElement('div');
-    portal.className = 'crt-controls-portal';
-    portal.style.position = 'fixed';
-    portal.style.right = '18px';
-    portal.style.bottom = '18px';
-    portal.style.zIndex = '1000000';
-    portal.style.pointerEvents = 'auto';
-    portal.style.display = this.config.controls ? 'block' : 'none';
-    portal.style.maxHeight = '80vh';
-    portal.style.overflowY = 'auto';
-
-    // Add style for dropdown options and scrollbar
-    const styleEl = document.createElement('style');
-    styleEl.textContent = `
-      .crt-controls-portal select option {
-        background: #1a1a1a;
-        color: #e6f7ff;
-      }
-      .crt-controls-portal select option:hover,
-      .crt-controls-portal select option:checked {
-        background: #2a2a2a;
-        color: #4aa3e1;
-      }
-      .crt-controls-portal optgroup {
-        background: #1a1a1a;
-        color: #e6f7ff;
-      }
-      /* Styled scrollbar */
-      .crt-controls-portal::-webkit-scrollbar {
-        width: 10px;
-      }
-      .crt-controls-portal::-webkit-scrollbar-track {
-        background: rgba(0, 0, 0, 0.3);
-        border-radius: 5px;
+    const img = ctx.createImageData(w, h);
+    const aspect = width / Math.max(height, 1);
+    const diag2 = aspect * aspect + 1;
+
+    for (let y = 0; y < h; y++) {
+      const v = ((y + 0.5) / h) * 2 - 1;
+      for (let x = 0; x < w; x++) {
+        const u = ((x + 0.5) / w) * 2 - 1;
+        const r2 = (u * u * aspect * aspect + v * v) / diag2;
+        const i = (y * w + x) * 4;
+        img.data[i] = Math.round((0.5 + u * r2 * ratioX * 0.5) * 255);
+        img.data[i + 1] = Math.round((0.5 + v * r2 * ratioY * 0.5) * 255);
+        img.data[i + 2] = 128;
+        img.data[i + 3] = 255;
       }
-      .crt-controls-portal::-webkit-scrollbar-thumb {
-        background: rgba(74, 163, 225, 0.6);
-        border-radius: 5px;
-        border: 2px solid rgba(0, 0, 0, 0.3);
-      }
-      .crt-controls-portal::-webkit-scrollbar-thumb:hover {
-        background: rgba(74, 163, 225, 0.8);
-      }
-      /* Collapsible section styling */
-      .crt-section-toggle {
-        cursor: pointer;
-        user-select: none;
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-      }
-      .crt-section-toggle::after {
-        content: '▼';
-        font-size: 10px;
-        transition: transform 0.2s ease;
-      }
-      .crt-section-toggle.collapsed::after {
-        transform: rotate(-90deg);
-      }
-    `;
-    document.head.appendChild(styleEl);
-
-    portal.innerHTML = `
-      <details open style="background: rgba(0,0,0,0.85); padding: 12px; border-radius: 8px; border: 1px solid rgba(255,255,255,0.1); color: #e6f7ff; font-family: system-ui, sans-serif; font-size: 12px; min-width: 280px;">
-        <summary style="cursor:pointer; margin-bottom:8px; font-weight:600;">CRT Controls</summary>
-        
-        <!-- Preset selector -->
-        <label style="display:flex; justify-content:space-between; align-items:center; margin:8px 0; gap:8px; font-weight:500; border-bottom:1px solid rgba(255,255,255,0.1); padding-bottom:8px;">
-          <span>Preset</span>
-          <select class="ctl-preset" style="flex: 1; padding: 4px; border-radius: 4px; background: rgba(255,255,255,0.1); color: #e6f7ff; border: 1px solid rgba(255,255,255,0.2);">
-            <option value="">Custom</option>
-            <optgroup label="Classic Desktop">
-              <option value="default">Default</option>
-              <option value="trinitron-fd">Trinitron FD</option>
-              <option value="professional-monitor">Professional Monitor</option>
-              <option value="monitor-1084s">Monitor 1084S</option>
-              <option value="studio-display-crt">Studio Display CRT</option>
-              <option value="arcade-crt">Arcade CRT</option>
-            </optgroup>
-            <optgroup label="Professional Monitors">
-              <option value="broadcast-monitor">Broadcast Monitor</option>
-              <option value="rgb-professional">RGB Professional</option>
-              <option value="retro-studio">Retro Studio</option>
-            </optgroup>
-            <optgroup label="Phosphor Colors">
-              <option value="amber-phosphor">Amber Phosphor</option>
-              <option value="green-phosphor">Green Phosphor</option>
-              <option value="blue-phosphor">Blue Phosphor</option>
-              <option value="phosphor-white">White Phosphor</option>
-            </optgroup>
-            <optgroup label="Specialized">
-              <option value="vt220-terminal">VT220 Terminal</option>
-              <option value="lcd-handheld">LCD Handheld</option>
-              <option value="classic-rgb">Classic RGB</option>
-              <option value="precision-flatcrt">Precision FlatCRT</option>
-              <option value="composite-color">Composite Color</option>
-            </optgroup>
-            <optgroup label="Alternative Display Tech">
-              <option value="plasma-display">Plasma Display</option>
-              <option value="vector-display">Vector Display</option>
-            </optgroup>
-          </select>
-        </label>
-
-        <!-- SCANLINES SECTION -->
-        <details open style="border-bottom:1px solid rgba(255,255,255,0.1); padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#ffaa44; margin-bottom:6px; cursor:pointer;">Scanlines</summary>
-          ${this._controlRow('Scan opacity','ctl-scan','0','1','0.02',this.config.scanOpacity,2)}
-          ${this._controlRow('Scanline darkness','ctl-scanline-color','0','1','0.05',this.config.scanlineColor,2)}
-          ${this._controlRow('Scan size','ctl-scan-size','2','8','0.5',this.config.scanSize,1)}
-          <label style="display:flex; justify-content:space-between; align-items:center; margin:6px 0; gap:8px;">
-            <span style="flex-shrink:0; min-width:140px;">Scanline mask</span>
-            <select class="ctl-scanline-mask" style="flex:1; background:rgba(255,255,255,0.08); border:1px solid rgba(255,255,255,0.2); color:#e6f7ff; border-radius:4px; padding:4px 6px;">
-              <option value="shadow-mask" ${this.config.scanlineMask === 'shadow-mask' ? 'selected' : ''}>Shadow Mask</option>
-              <option value="aperture-grille" ${this.config.scanlineMask === 'aperture-grille' ? 'selected' : ''}>Aperture Grille</option>
-              <option value="slot-mask" ${this.config.scanlineMask === 'slot-mask' ? 'selected' : ''}>Slot Mask</option>
-              <option value="sharp" ${this.config.scanlineMask === 'sharp' ? 'selected' : ''}>Sharp</option>
-              <option value="soft" ${this.config.scanlineMask === 'soft' ? 'selected' : ''}>Soft</option>
-            </select>
-          </label>
-        </details>
-
-        <!-- HAIRLINES SECTION -->
-        <details open style="border-bottom:1px solid rgba(255,255,255,0.1); padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#44aaff; margin-bottom:6px; cursor:pointer;">Hairlines</summary>
-          ${this._controlRow('Hairline opacity','ctl-hairline','0','0.3','0.01',this.config.hairlineOpacity,2)}
-          ${this._controlRow('Scan density','ctl-scan-density','1','4','0.1',this.config.scanDensity,1)}
-        </details>
-
-        <!-- FRINGE SECTION -->
-        <details open style="border-bottom:1px solid rgba(255,255,255,0.1); padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#ff88ff; margin-bottom:6px; cursor:pointer;">Chromatic Aberration</summary>
-          ${this._controlRow('Fringe opacity','ctl-fringe','0','0.6','0.02',this.config.fringeOpacity,2)}
-          ${this._controlRow('Fringe color shift','ctl-fringe-dominant','0','1','0.05',this.config.fringeDominant,2)}
-          ${this._controlRow('Fringe jitter speed','ctl-fringe-jitter-speed','1','5','0.1',this.config.fringeJitterSpeed,1)}
-          ${this._controlRow('Fringe jitter amount','ctl-fringe-jitter-amount','0','5','0.5',this.config.fringeJitterAmount,1)}
-          ${this._controlRow('Phosphor size','ctl-phosphor','0.5','3','0.1',this.config.phosphorSize,1)}
-          ${this._controlRow('Phosphor red opacity','ctl-phosphor-red','0','0.3','0.01',this.config.phosphorOpacityRed,2)}
-          ${this._controlRow('Phosphor green opacity','ctl-phosphor-green','0','0.3','0.01',this.config.phosphorOpacityGreen,2)}
-          ${this._controlRow('Phosphor blue opacity','ctl-phosphor-blue','0','0.3','0.01',this.config.phosphorOpacityBlue,2)}
-        </details>
-
-        <!-- NOISE SECTION -->
-        <details style="border-bottom:1px solid rgba(255,255,255,0.1); padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#88ff88; margin-bottom:6px; cursor:pointer;">Film Grain</summary>
-          ${this._controlRow('Noise opacity','ctl-noise','0','0.4','0.01',this.config.noiseOpacity,2)}
-        </details>
-
-        <!-- VIGNETTE SECTION -->
-        <details style="border-bottom:1px solid rgba(255,255,255,0.1); padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#ff6644; margin-bottom:6px; cursor:pointer;">Vignette</summary>
-          ${this._controlRow('Vignette opacity','ctl-vignette','0','1','0.05',this.config.vignetteOpacity,2)}
-          ${this._controlRow('Vignette radius','ctl-vignette-radius','30','95','5',this.config.vignetteRadius,0)}
-          ${this._controlRow('Vignette feather','ctl-vignette-feather','10','80','5',this.config.vignetteFeather,0)}
-          ${this._controlRow('Vignette inner dark','ctl-vignette-color-light','0','1','0.05',this.config.vignetteColorLight,2)}
-          ${this._controlRow('Vignette outer dark','ctl-vignette-color-dark','0','1','0.05',this.config.vignetteColorDark,2)}
-        </details>
-
-        <!-- REFLECTION SECTION -->
-        <details style="border-bottom:1px solid rgba(255,255,255,0.1); padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#44ff99; margin-bottom:6px; cursor:pointer;">Reflection</summary>
-          <label style="display:flex; justify-content:space-between; align-items:center; margin:6px 0; gap:8px;">
-            <input type="checkbox" class="ctl-reflection" ${this.config.reflection ? 'checked' : ''}>
-            <span>Enable Reflection</span>
-          </label>
-          ${this._controlRow('Reflection size','ctl-reflection-size','800','2000','100',this.config.reflectionSize,0)}
-          ${this._controlRow('Reflection opacity','ctl-reflection-opacity','0','0.15','0.01',this.config.reflectionOpacity,3)}
-          ${this._controlRow('Reflection position X','ctl-reflection-position-x','0','100','5',this.config.reflectionPositionX,0)}
-          ${this._controlRow('Reflection position Y','ctl-reflection-position-y','0','100','5',this.config.reflectionPositionY,0)}
-        </details>
-
-        <!-- FLICKER SECTION -->
-        <details style="border-bottom:1px solid rgba(255,255,255,0.1); padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#ffff44; margin-bottom:6px; cursor:pointer;">Flicker</summary>
-          <label style="display:flex; justify-content:space-between; align-items:center; margin:6px 0; gap:8px;">
-            <input type="checkbox" class="ctl-flicker" ${this.config.flicker ? 'checked' : ''}>
-            <span>Enable Flicker</span>
-          </label>
-          ${this._controlRow('Flicker opacity','ctl-flicker-opacity','0','0.2','0.01',this.config.flickerOpacity,2)}
-        </details>
-
-        <!-- BLOOM SECTION -->
-        <details style="border-bottom:1px solid rgba(255,255,255,0.1); padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#ffccaa; margin-bottom:6px; cursor:pointer;">Bloom</summary>
-          ${this._controlRow('Bloom strength','ctl-bloom','0','0.4','0.02',this.config.bloom,2)}
-          ${this._controlRow('Bloom brightness','ctl-bloom-brightness','0.5','2','0.1',this.config.bloomBrightness,1)}
-          ${this._controlRow('Bloom radius','ctl-bloom-radius','800','2000','100',this.config.bloomRadius,0)}
-          ${this._controlRow('Bloom decay','ctl-bloom-decay','20','90','5',this.config.bloomDecay,0)}
-          ${this._controlRow('Bloom blur','ctl-bloom-blur','2','40','2',this.config.bloomBlur,0)}
-          <label style="display:flex; justify-content:space-between; align-items:center; margin:6px 0; gap:8px;">
-            <span>Bloom color</span>
-            <select class="ctl-bloom-color" style="flex: 1; padding: 4px; border-radius: 4px; background: rgba(255,255,255,0.1); color: #e6f7ff; border: 1px solid rgba(255,255,255,0.2);">
-              <option value="white">White</option>
-              <option value="amber">Amber</option>
-              <option value="green">Green</option>
-              <option value="blue">Blue</option>
-            </select>
-          </label>
-        </details>
-
-        <!-- COLOR & EFFECTS SECTION -->
-        <details style="border-bottom:1px solid rgba(255,255,255,0.1); padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#88ffaa; margin-bottom:6px; cursor:pointer;">Color & Effects</summary>
-          ${this._controlRow('Color palette shift','ctl-color-palette-shift','-180','180','15',this.config.colorPaletteShift,0)}
-          ${this._controlRow('Interlace speed','ctl-interlace-speed','0.05','0.2','0.01',this.config.interlaceSpeed,2)}
-        </details>
-
-        <!-- BARREL DISTORTION SECTION -->
-        <details style="border-bottom:1px solid rgba(255,255,255,0.1); padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#ff8844; margin-bottom:6px; cursor:pointer;">Barrel Distortion</summary>
-          ${this._controlRow('Barrel amount','ctl-barrel','0','6','0.2',this.config.barrel,1)}
-        </details>
-
-        <!-- MODE SECTION -->
-        <details open style="padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#44ffaa; margin-bottom:6px; cursor:pointer;">Overlay Mode</summary>
-          <label style="display:flex; justify-content:space-between; align-items:center; margin:6px 0; gap:8px;">
-            <span>Mode</span>
-            <select class="ctl-mode" style="flex: 1; padding: 4px; border-radius: 4px; background: rgba(255,255,255,0.1); color: #e6f7ff; border: 1px solid rgba(255,255,255,0.2);">
-              <option value="0">Disabled</option>
-              <option value="1">Behind Content</option>
-              <option value="2">On Top</option>
-            </select>
-          </label>
-        </details>
-
-        <!-- GLOBAL OPACITY SECTION -->
-        <details open style="padding:8px 0; margin:8px 0;">
-          <summary style="font-weight:600; color:#ffffff; margin-bottom:6px; cursor:pointer;">Global Opacity</summary>
-          ${this._controlRow('Overlay opacity','ctl-opacity','0','1','0.05',this.config.opacity,2)}
-        </details>
-    `;
+    }
 
-    document.body.appendChild(portal);
-    this.controlsPortal = portal;
-    this.bindControls();
+    ctx.putImageData(img, 0, 0);
+    return canvas.toDataURL('image/png');
   }
 
-  _controlRow(label, cls, min, max, step, value, decimals = 2) {
-    const numberId = `${cls}-number`;
-    return `
-      <label style="display:flex; justify-content:space-between; align-items:center; margin:6px 0; gap:8px;">
-        <span style="flex-shrink:0; min-width:140px;">${label}</span>
-        <input type="range" class="${cls}" min="${min}" max="${max}" step="${step}" value="${value}" style="flex:1;">
-        <input type="number" class="${numberId}" min="${min}" max="${max}" step="${step}" value="${Number(value).toFixed(decimals)}" style="width:70px; background:rgba(255,255,255,0.08); border:1px solid rgba(255,255,255,0.2); color:#e6f7ff; border-radius:4px; padding:4px 6px; text-align:center; font-size:12px;">
-      </label>
-    `;
-  }
+  initializeEffects() { loadGrainFrames(); }
 
+  // The `controls` panel is a <crt-controls> bound to this overlay, created the first time it is shown.
+  // crt-controls.js is only loaded then; the element upgrades (and picks up `overlays`) once it is defined.
   toggleControls() {
-    const portal = this.controlsPortal;
-    if (portal) {
-      portal.style.display = this.config.controls ? 'block' : 'none';
+    if (this.config.controls && !this.controlsPortal && this.isConnected) {
+      import('./crt-controls.js').catch((error) => {
+        console.warn('crt-overlay: could not load the controls panel', error);
+      });
+      const panel = document.createElement('crt-controls');
+      panel.overlays = [this];
+      const key = this.config.persistKey || this.id;
+      if (key) panel.setAttribute('persist-key', key);
+      document.body.appendChild(panel);
+      this.controlsPortal = panel;
     }
+    if (this.controlsPortal) this.controlsPortal.hidden = !this.config.controls;
+  }
+
+  // Let every panel controlling this overlay show a changed value (a config key, 'preset', or everything)
+  _refreshPanels(key = null) {
+    this._controlPanels.forEach(panel => panel.refresh(this, key));
   }
 
   toggleFlicker() {
-    // Clear any existing flicker animation
-    if (this.animationFrames.flicker) {
-      clearTimeout(this.animationFrames.flicker);
-      this.animationFrames.flicker = null;
-    }
-    
-    // Start new animation if enabled
     if (this.config.flicker) {
-      this.animateFlicker();
+      this.scheduler.add('flicker', () => this.animateFlicker());
+    } else {
+      this.scheduler.remove('flicker');
     }
   }
 
@@ -549,201 +501,86 @@ class CRTOverlay extends HTMLElement {
     }
   }
 
-  bindControls() {
-    const root = this.controlsPortal || this.shadowRoot;
-    const presetSelect = root.querySelector('.ctl-preset');
-    
-    const controls = {
-      'ctl-scan': { prop: 'scanOpacity', attr: 'scan-opacity' },
-      'ctl-scanline-color': { prop: 'scanlineColor', attr: 'scanline-color' },
-      'ctl-hairline': { prop: 'hairlineOpacity', attr: 'hairline-opacity' },
-      'ctl-fringe': { prop: 'fringeOpacity', attr: 'fringe-opacity' },
-      'ctl-fringe-dominant': { prop: 'fringeDominant', attr: 'fringe-dominant' },
-      'ctl-fringe-jitter-speed': { prop: 'fringeJitterSpeed', attr: 'fringe-jitter-speed' },
-      'ctl-fringe-jitter-amount': { prop: 'fringeJitterAmount', attr: 'fringe-jitter-amount' },
-      'ctl-noise': { prop: 'noiseOpacity', attr: 'noise-opacity' },
-      'ctl-barrel': { prop: 'barrel', attr: 'barrel' },
-      'ctl-scan-size': { prop: 'scanSize', attr: 'scan-size' },
-      'ctl-scan-density': { prop: 'scanDensity', attr: 'scan-density' },
-      'ctl-phosphor': { prop: 'phosphorSize', attr: 'phosphor-size' },
-      'ctl-phosphor-red': { prop: 'phosphorOpacityRed', attr: 'phosphor-opacity-red' },
-      'ctl-phosphor-green': { prop: 'phosphorOpacityGreen', attr: 'phosphor-opacity-green' },
-      'ctl-phosphor-blue': { prop: 'phosphorOpacityBlue', attr: 'phosphor-opacity-blue' },
-      'ctl-bloom': { prop: 'bloom', attr: 'bloom' },
-      'ctl-bloom-brightness': { prop: 'bloomBrightness', attr: 'bloom-brightness' },
-      'ctl-bloom-radius': { prop: 'bloomRadius', attr: 'bloom-radius' },
-      'ctl-bloom-decay': { prop: 'bloomDecay', attr: 'bloom-decay' },
-      'ctl-bloom-blur': { prop: 'bloomBlur', attr: 'bloom-blur' },
-      'ctl-vignette': { prop: 'vignetteOpacity', attr: 'vignette-opacity' },
-      'ctl-vignette-radius': { prop: 'vignetteRadius', attr: 'vignette-radius' },
-      'ctl-vignette-feather': { prop: 'vignetteFeather', attr: 'vignette-feather' },
-      'ctl-vignette-color-light': { prop: 'vignetteColorLight', attr: 'vignette-color-light' },
-      'ctl-vignette-color-dark': { prop: 'vignetteColorDark', attr: 'vignette-color-dark' },
-      'ctl-reflection-size': { prop: 'reflectionSize', attr: 'reflection-size' },
-      'ctl-reflection-opacity': { prop: 'reflectionOpacity', attr: 'reflection-opacity' },
-      'ctl-reflection-position-x': { prop: 'reflectionPositionX', attr: 'reflection-position-x' },
-      'ctl-reflection-position-y': { prop: 'reflectionPositionY', attr: 'reflection-position-y' },
-      'ctl-color-palette-shift': { prop: 'colorPaletteShift', attr: 'color-palette-shift' },
-      'ctl-interlace-speed': { prop: 'interlaceSpeed', attr: 'interlace-speed' },
-      'ctl-flicker-opacity': { prop: 'flickerOpacity', attr: 'flicker-opacity' },
-      'ctl-opacity': { prop: 'opacity', attr: 'opacity' }
-    };
+  startAnimations() {
+    this.scheduler.fps = this.config.fps;
+    this.scheduler.add('noise', () => this.animateNoise());
+    this.toggleFlicker();
+  }
 
-    Object.entries(controls).forEach(([className, { prop, attr }]) => {
-      const slider = root.querySelector(`.${className}`);
-      const numberInput = root.querySelector(`.${className}-number`);
-      
-      if (slider) {
-        // Slider input updates config and number input
-        slider.addEventListener('input', (e) => {
-          const value = parseFloat(e.target.value);
-          this.config[prop] = value;
-          this.setAttribute(attr, value);
-          if (presetSelect) presetSelect.value = '';
-          
-          // Sync number input
-          if (numberInput) {
-            const decimals = (attr === 'barrel' || attr.includes('size') || attr.includes('density')) ? 1 : 2;
-            numberInput.value = value.toFixed(decimals);
-          }
-          
-          if (attr === 'barrel') this.updateBarrel();
-          this.updateStyles();
-        });
-      }
-      
-      if (numberInput) {
-        // Number input updates config and slider
-        numberInput.addEventListener('input', (e) => {
-          const value = parseFloat(e.target.value);
-          if (!isNaN(value)) {
-            this.config[prop] = value;
-            this.setAttribute(attr, value);
-            if (presetSelect) presetSelect.value = '';
-            
-            // Sync slider
-            if (slider) slider.value = value;
-            
-            if (attr === 'barrel') this.updateBarrel();
-            this.updateStyles();
-          }
-        });
-      }
-    });
+  stopAnimations() {
+    this.scheduler.clear();
+    this._signal = null;
+  }
 
-    // Scanline mask selector
-    const scanlineMaskSelect = root.querySelector('.ctl-scanline-mask');
-    if (scanlineMaskSelect) {
-      scanlineMaskSelect.value = this.config.scanlineMask;
-      scanlineMaskSelect.addEventListener('change', (e) => {
-        this.config.scanlineMask = e.target.value;
-        this.setAttribute('scanline-mask', e.target.value);
-        if (presetSelect) presetSelect.value = '';
-        this.updateStyles();
-      });
-    }
+  /** Pause every overlay animation until resume() (tab visibility and viewport pauses still apply). */
+  pause() {
+    this.scheduler.block('manual');
+  }
 
-    // Bloom color selector
-    const bloomColorSelect = root.querySelector('.ctl-bloom-color');
-    if (bloomColorSelect) {
-      bloomColorSelect.value = this.config.bloomColor;
-      const updateBloomColor = (e) => {
-        this.config.bloomColor = e.target.value;
-        this.setAttribute('bloom-color', e.target.value);
-        if (presetSelect) presetSelect.value = '';
-        this.updateExternalBloomLayer();
-      };
-      bloomColorSelect.addEventListener('change', updateBloomColor);
-      bloomColorSelect.addEventListener('input', updateBloomColor);
-    }
+  resume() {
+    this.scheduler.block('manual', false);
+  }
 
-    // Flicker toggle
-    const flickerToggle = root.querySelector('.ctl-flicker');
-    if (flickerToggle) {
-      flickerToggle.addEventListener('change', (e) => {
-        this.config.flicker = e.target.checked;
-        if (e.target.checked) {
-          this.setAttribute('flicker', '');
-        } else {
-          this.removeAttribute('flicker');
-        }
-        this.toggleFlicker();
-      });
-    }
-    
-    // Reflection toggle
-    const reflectionToggle = root.querySelector('.ctl-reflection');
-    if (reflectionToggle) {
-      reflectionToggle.addEventListener('change', (e) => {
-        this.config.reflection = e.target.checked;
-        if (e.target.checked) {
-          this.setAttribute('reflection', '');
-        } else {
-          this.removeAttribute('reflection');
-        }
-        this.toggleReflection();
-      });
-    }
-    
-    // Mode selector
-    const modeSelect = root.querySelector('.ctl-mode');
-    if (modeSelect) {
-      modeSelect.value = String(this.config.mode);
-      modeSelect.addEventListener('change', (e) => {
-        const mode = parseInt(e.target.value, 10);
-        this.config.mode = mode;
-        this.setAttribute('mode', mode);
-        if (presetSelect) presetSelect.value = '';
-        this.updateModeZIndex();
-      });
-    }
+  /** Advance the animation clock by `ms` and run whatever is due, even while paused. */
+  step(ms = 1000 / (this.config.fps || 60)) {
+    this.scheduler.step(ms);
+  }
 
-    // Preset dropdown
-    if (presetSelect) {
-      presetSelect.addEventListener('change', (e) => {
-        const preset = this.getPreset(e.target.value);
-        if (preset) {
-          this.applyPreset(preset);
-        }
+  /** Pause the scheduler while the tab is hidden or the element (or its source) is scrolled out of view. */
+  observeVisibility() {
+    if (!this._onVisibilityChange) {
+      this._onVisibilityChange = () => this.scheduler.block('hidden', document.hidden);
+      document.addEventListener('visibilitychange', this._onVisibilityChange);
+    }
+    this._onVisibilityChange();
+    if (typeof IntersectionObserver === 'undefined') return;
+    if (!this._intersectionObserver) {
+      this._intersectionObserver = new IntersectionObserver((entries) => {
+        const entry = entries[entries.length - 1];
+        this.scheduler.block('offscreen', !entry.isIntersecting);
       });
     }
+    this._intersectionObserver.disconnect();
+    this.scheduler.block('offscreen', false);
+    this._intersectionObserver.observe(this._source ? this._source.element : this);
   }
 
-  startAnimations() { 
-    this.animateNoise(); 
-    if (this.config.flicker) this.animateFlicker(); 
-  }
-  
-  stopAnimations() { 
-    if (this.animationFrames.noise) clearTimeout(this.animationFrames.noise); 
-    if (this.animationFrames.flicker) clearTimeout(this.animationFrames.flicker); 
+  unobserveVisibility() {
+    if (this._onVisibilityChange) {
+      document.removeEventListener('visibilitychange', this._onVisibilityChange);
+      this._onVisibilityChange = null;
+    }
+    if (this._intersectionObserver) {
+      this._intersectionObserver.disconnect();
+      this._intersectionObserver = null;
+    }
+    this.scheduler.block('hidden', false);
+    this.scheduler.block('offscreen', false);
   }
 
   animateNoise() { 
     const noiseLayer = this.shadowRoot.querySelector('.crt-noise'); 
-    if (!noiseLayer || this.noisePool.length === 0) return; 
-    
-    // Initialize background images on first run
-    if (!this.currentNoiseUrl) { 
-      const urls = this.noisePool.map(u => `url(${u})`).join(', '); 
-      noiseLayer.style.backgroundImage = urls; 
-      this.currentNoiseUrl = urls; 
+    if (!noiseLayer) return;
+
+    // Frames are shared by every overlay on the page and may still be generating
+    if (sharedGrain.frames.length === 0) {
+      loadGrainFrames();
+      return;
     } 
     
-    // Randomly shift background positions for film grain effect
-    const positions = this.noisePool.map(() => { 
-      const x = Math.floor(Math.random() * 10) - 5; 
-      const y = Math.floor(Math.random() * 10) - 5; 
-      return `${x}px ${y}px`; 
-    }); 
-    noiseLayer.style.backgroundPosition = positions.join(', '); 
-    
-    this.animationFrames.noise = setTimeout(() => this.animateNoise(), 16); 
+    // Show a single random frame at a random offset for the film grain effect
+    const frames = sharedGrain.frames;
+    let url = frames[(Math.random() * frames.length) | 0];
+    if (url === this.currentNoiseUrl && frames.length > 1) url = frames[(frames.indexOf(url) + 1) % frames.length];
+    noiseLayer.style.backgroundImage = `url(${url})`;
+    this.currentNoiseUrl = url;
+    const x = Math.floor(Math.random() * 10) - 5;
+    const y = Math.floor(Math.random() * 10) - 5;
+    noiseLayer.style.backgroundPosition = `${x}px ${y}px`;
   }
 
+  /** Flicker task: maybe flash, then return the delay until the next attempt. */
   animateFlicker() { 
-    if (!this.config.flicker) return; 
-    
     const flashLayer = this.shadowRoot.querySelector('.crt-flicker'); 
     
     // 60% chance of flicker effect per cycle
@@ -760,8 +597,575 @@ class CRTOverlay extends HTMLElement {
       })); 
     } 
     
-    // Random interval between 150-550ms
-    this.animationFrames.flicker = setTimeout(() => this.animateFlicker(), 150 + Math.random() * 400); 
+    // Random interval between 150-550ms, never more than three flashes a second in safe mode
+    const delay = 150 + Math.random() * 400;
+    return this.isSafeMode() ? Math.max(delay, SAFE_MIN_FLASH_INTERVAL) : delay;
+  }
+
+  /** Size of the picture in CSS px: the viewport, or the element itself when scoped. */
+  _pictureSize() {
+    return this.config.scope === 'self'
+      ? { width: this.offsetWidth, height: this.offsetHeight }
+      : { width: window.innerWidth, height: window.innerHeight };
+  }
+
+  /**
+   * Scanline pitch in CSS px: `scanSize`, or `height` (the picture height by default) split into
+   * `lines`, never finer than one device pixel.
+   */
+  getScanSize(height) {
+    const lines = parseLines(this.config.lines);
+    if (!lines) return this.config.scanSize;
+    const pictureHeight = height || this._pictureSize().height;
+    if (!(pictureHeight > 0)) return this.config.scanSize;
+    return Math.max(1 / (window.devicePixelRatio || 1), pictureHeight / lines.count);
+  }
+
+  /**
+   * Apply `lines`: the scanline pitch, field alternation for interlaced modes, and the pixelation
+   * stage, which samples one row per line and spreads it over the line (feTile + feMorphology).
+   * Runs again on resize and devicePixelRatio changes.
+   */
+  updateLines() {
+    const container = this.shadowRoot.querySelector('.crt-container');
+    if (!container) return;
+    const lines = parseLines(this.config.lines);
+    container.style.setProperty('--scan-size', `${this.getScanSize()}px`);
+    this.applyScanlineMask();
+
+    const root = this._filterRoot();
+    const filter = root.getElementById(`crt-barrel-${this._uid}`);
+    if (!filter) return;
+    const on = Boolean(lines && this.config.linesPixelate);
+    if (on !== Boolean(this._linesStage)) {
+      if (on) {
+        // A one-pixel row in the middle of each line, tiled down the picture, picks the rows to keep
+        const row = createFilterPrimitive('feFlood', { 'flood-color': '#fff', 'flood-opacity': '1', x: '0', y: '0', width: '1', height: '0', result: 'linesRow' });
+        const cell = createFilterPrimitive('feComposite', { in: 'linesRow', in2: 'linesRow', operator: 'over', x: '0', y: '0', width: '1', height: '0', result: 'linesCell' });
+        const grid = createFilterPrimitive('feTile', { in: 'linesCell', x: '0', y: '0', width: '1', height: '1', result: 'linesGrid' });
+        const sample = createFilterPrimitive('feComposite', { in: 'graded', in2: 'linesGrid', operator: 'in', result: 'linesSample' });
+        const spread = createFilterPrimitive('feMorphology', { in: 'linesSample', operator: 'dilate', radius: '0 0', result: 'graded' });
+        this._linesStage = { row, cell, spread, nodes: [row, cell, grid, sample, spread] };
+        const before = this._filterStageAnchor(this._paletteStage, this._compositeStage, this._phosphorStage, this._convergenceStage, this._signalStage, this._compareStage);
+        this._linesStage.nodes.forEach(node => filter.insertBefore(node, before));
+      } else {
+        this._linesStage.nodes.forEach(node => node.remove());
+        this._linesStage = null;
+      }
+      this.updateBarrel();
+    }
+    const stage = this._linesStage;
+    if (!stage) return;
+
+    // Sizes are fractions of the target box, taken as the picture height
+    const height = Math.max(1, Math.round(this._pictureSize().height));
+    const line = 1 / lines.count;
+    const pixel = Math.min(line, 1 / height);
+    stage.row.setAttribute('y', String((line - pixel) / 2));
+    stage.row.setAttribute('height', String(pixel));
+    stage.cell.setAttribute('height', String(line));
+    stage.spread.setAttribute('radius', `0 ${line / 2}`);
+  }
+
+  /**
+   * Palette quantization: every pixel of the filtered content becomes the nearest palette color.
+   * Part of the filter while `palette` is not 'none'; rebuilt when the palette colors change.
+   */
+  updatePalette() {
+    const root = this._filterRoot();
+    const filter = root.getElementById(`crt-barrel-${this._uid}`);
+    if (!filter) return;
+    const colors = this.config.palette === 'none' ? null : resolvePalette(this.config.palette);
+    const key = colors ? colors.map(toHexColor).join(',') : null;
+    if (key !== (this._paletteStage ? this._paletteStage.key : null)) {
+      const wasOn = Boolean(this._paletteStage);
+      if (wasOn) this._paletteStage.nodes.forEach(node => node.remove());
+      this._paletteStage = null;
+      if (colors) {
+        this._paletteStage = this._createPaletteStage(colors, key);
+        const before = this._filterStageAnchor(this._compositeStage, this._phosphorStage, this._convergenceStage, this._signalStage, this._compareStage);
+        this._paletteStage.nodes.forEach(node => filter.insertBefore(node, before));
+      }
+      if (wasOn !== Boolean(colors)) this.updateBarrel();
+    }
+    if (this._paletteStage) this._configurePalette();
+  }
+
+  /**
+   * Build the quantization primitives; they read `graded` and write the result back as `graded`.
+   * Nearest color by channel-averaged distance: each color's distance (feBlend difference) is
+   * compared with the running minimum (darken), and the color is laid over the running pick where
+   * it wins. The pick is finally cut to the content's alpha.
+   */
+  _createPaletteStage(colors, key) {
+    // Ordered dithering: source + amount × (Bayer threshold − 0.5), set by _configurePalette()
+    const bayer = createFilterPrimitive('feImage', { x: '0', y: '0', width: '1', height: '1', preserveAspectRatio: 'none', result: 'paletteBayer' });
+    const dither = createFilterPrimitive('feComposite', { in: 'graded', in2: 'paletteBayer', operator: 'arithmetic', k1: '0', k2: '1', k3: '0', k4: '0', result: 'paletteSource' });
+    const nodes = [bayer, dither];
+    colors.forEach((rgb, i) => {
+      const first = i === 0;
+      const color = createFilterPrimitive('feFlood', { 'flood-color': toHexColor(rgb), 'flood-opacity': '1', result: first ? 'paletteBest' : 'paletteColor' });
+      const difference = createFilterPrimitive('feBlend', { in: 'paletteSource', in2: first ? 'paletteBest' : 'paletteColor', mode: 'difference', result: 'paletteDistance' });
+      const distance = createFilterPrimitive('feColorMatrix', { in: 'paletteDistance', type: 'matrix', values: PALETTE_DISTANCE_MATRIX, result: first ? 'paletteMin' : 'paletteDistance' });
+      nodes.push(color, difference, distance);
+      if (first) return;
+      // Wins where its distance is the new minimum (ties go to the later color)
+      const min = createFilterPrimitive('feBlend', { in: 'paletteMin', in2: 'paletteDistance', mode: 'darken', result: 'paletteMin' });
+      const gap = createFilterPrimitive('feBlend', { in: 'paletteDistance', in2: 'paletteMin', mode: 'difference', result: 'paletteGap' });
+      const mask = createFilterPrimitive('feColorMatrix', { in: 'paletteGap', type: 'matrix', values: PALETTE_WIN_MATRIX, result: 'paletteMask' });
+      const pick = createFilterPrimitive('feComposite', { in: 'paletteColor', in2: 'paletteMask', operator: 'in', result: 'palettePick' });
+      const best = createFilterPrimitive('feComposite', { in: 'palettePick', in2: 'paletteBest', operator: 'over', result: 'paletteBest' });
+      nodes.push(min, gap, mask, pick, best);
+    });
+    nodes.push(createFilterPrimitive('feComposite', { in: 'paletteBest', in2: 'graded', operator: 'in', result: 'graded' }));
+    return { key, bayer, dither, nodes, colorCount: colors.length, bayerKey: null };
+  }
+
+  _configurePalette() {
+    const stage = this._paletteStage;
+    // Spread the threshold over roughly one step between palette colors
+    const amount = Math.min(1, Math.max(0, this.config.paletteDither)) / (Math.cbrt(stage.colorCount) + 1);
+    stage.dither.setAttribute('k3', String(amount));
+    stage.dither.setAttribute('k4', String(-amount / 2));
+    if (!(amount > 0)) return;
+
+    // The threshold pattern is rebuilt only when the picture size changes
+    const size = this._pictureSize();
+    const width = Math.max(1, Math.round(size.width));
+    const height = Math.max(1, Math.round(size.height));
+    const key = `${width}x${height}`;
+    if (stage.bayerKey !== key) {
+      const url = buildBayerImage(width, height);
+      stage.bayer.setAttribute('href', url);
+      stage.bayer.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', url);
+      stage.bayerKey = key;
+    }
+  }
+
+  /**
+   * Keep the composite video stage in step with the config: inserted after the palette stage while
+   * `composite` is on (before any signal stage), with the dot crawl carrier animating outside safe mode.
+   */
+  updateComposite() {
+    const root = this._filterRoot();
+    const filter = root.getElementById(`crt-barrel-${this._uid}`);
+    if (!filter) return;
+    const on = this.config.composite;
+    if (on === Boolean(this._compositeStage)) {
+      if (on) this._configureComposite();
+      return;
+    }
+    if (on) {
+      this._compositeStage = this._createCompositeStage();
+      const before = this._filterStageAnchor(this._phosphorStage, this._convergenceStage, this._signalStage, this._compareStage);
+      this._compositeStage.nodes.forEach(node => filter.insertBefore(node, before));
+      this._configureComposite();
+      this.scheduler.add('composite', () => this.animateComposite());
+    } else {
+      this._compositeStage.nodes.forEach(node => node.remove());
+      this._compositeStage = null;
+      this.scheduler.remove('composite');
+    }
+    this.updateBarrel();
+  }
+
+  // Build the composite primitives; they read `graded` and write the result back as `graded`
+  _createCompositeStage() {
+    const edgeKernel = { order: '3 1', kernelMatrix: '-1 2 -1', preserveAlpha: 'true' };
+    // Chroma bleed: blur horizontally, shift right (chroma delay), keep the sharp luma of the original
+    const bleed = createFilterPrimitive('feGaussianBlur', { in: 'graded', stdDeviation: '0 0', result: 'compositeBleed' });
+    const delay = createFilterPrimitive('feOffset', { in: 'compositeBleed', dx: '0', dy: '0', result: 'compositeChroma' });
+    const mix = createFilterPrimitive('feBlend', { in: 'graded', in2: 'compositeChroma', mode: 'luminosity', result: 'compositeMix' });
+    // Subcarrier: 1px diagonal RGB stripes, sized to the picture so they stay pixel-fine
+    const carrier = createFilterPrimitive('feImage', { x: '0', y: '0', width: '1', height: '1', preserveAspectRatio: 'none', result: 'compositeCarrier' });
+    // Cross-color: the carrier shows through wherever the luma has fine horizontal detail
+    const luma = createFilterPrimitive('feColorMatrix', { in: 'graded', type: 'saturate', values: '0', result: 'compositeLuma' });
+    const lumaEdges = createFilterPrimitive('feConvolveMatrix', { in: 'compositeLuma', ...edgeKernel, result: 'compositeLumaEdges' });
+    const crossMask = createFilterPrimitive('feColorMatrix', { in: 'compositeLumaEdges', type: 'matrix', values: '', result: 'compositeCrossMask' });
+    const cross = createFilterPrimitive('feComposite', { in: 'compositeCarrier', in2: 'compositeCrossMask', operator: 'in', result: 'compositeCross' });
+    const crossed = createFilterPrimitive('feBlend', { in: 'compositeCross', in2: 'compositeMix', mode: 'screen', result: 'compositeCrossed' });
+    // Dot crawl: the carrier along color (chroma) edges, moved a pixel per field by animateComposite()
+    const chroma = createFilterPrimitive('feColorMatrix', { in: 'graded', type: 'matrix', values: COMPOSITE_CHROMA_MATRIX, result: 'compositeChromaOnly' });
+    const chromaEdges = createFilterPrimitive('feConvolveMatrix', { in: 'compositeChromaOnly', ...edgeKernel, result: 'compositeChromaEdges' });
+    const crawlMask = createFilterPrimitive('feColorMatrix', { in: 'compositeChromaEdges', type: 'matrix', values: '', result: 'compositeCrawlMask' });
+    const crawl = createFilterPrimitive('feComposite', { in: 'compositeCarrier', in2: 'compositeCrawlMask', operator: 'in', result: 'compositeCrawl' });
+    const crawled = createFilterPrimitive('feBlend', { in: 'compositeCrawl', in2: 'compositeCrossed', mode: 'overlay', result: 'compositeCrawled' });
+    // RF ghost: a faint copy offset to the right, screened over the picture
+    const ghostShift = createFilterPrimitive('feOffset', { in: 'compositeCrawled', dx: '0', dy: '0', result: 'compositeGhostShift' });
+    const ghostFade = createFilterPrimitive('feColorMatrix', { in: 'compositeGhostShift', type: 'matrix', values: '', result: 'compositeGhost' });
+    const ghost = createFilterPrimitive('feBlend', { in: 'compositeGhost', in2: 'compositeCrawled', mode: 'screen', result: 'graded' });
+    return {
+      bleed, delay, carrier, crossMask, crawlMask, ghostShift, ghostFade,
+      nodes: [bleed, delay, mix, carrier, luma, lumaEdges, crossMask, cross, crossed, chroma, chromaEdges, crawlMask, crawl, crawled, ghostShift, ghostFade, ghost],
+      phase: 0, carrierKey: null, carriers: null,
+    };
+  }
+
+  _configureComposite() {
+    const stage = this._compositeStage;
+    const { compositeBleed, compositeArtifacts, compositeDotCrawl, compositeGhost, compositeGhostOffset } = this.config;
+    const alphaOnly = (r, g, b) => `0 0 0 0 0  0 0 0 0 0  0 0 0 0 0  ${r} ${g} ${b} 0 0`;
+    stage.bleed.setAttribute('stdDeviation', `${compositeBleed * 0.006} 0`);
+    stage.delay.setAttribute('dx', String(compositeArtifacts * 0.002));
+    stage.crossMask.setAttribute('values', alphaOnly(compositeArtifacts * 4, 0, 0));
+    const crawlGain = compositeDotCrawl * 4 / 3;
+    stage.crawlMask.setAttribute('values', alphaOnly(crawlGain, crawlGain, crawlGain));
+    stage.ghostShift.setAttribute('dx', String(compositeGhostOffset / 100));
+    stage.ghostFade.setAttribute('values', `1 0 0 0 0  0 1 0 0 0  0 0 1 0 0  0 0 0 ${compositeGhost} 0`);
+
+    // Carrier images are rebuilt only when the picture size changes
+    const size = this._pictureSize();
+    const width = Math.max(1, Math.round(size.width));
+    const height = Math.max(1, Math.round(size.height));
+    const key = `${width}x${height}`;
+    if (stage.carrierKey !== key) {
+      stage.carriers = [0, 1, 2].map(phase => buildCarrierImage(width, height, phase));
+      stage.carrierKey = key;
+      this._showCarrier();
+    }
+  }
+
+  _showCarrier() {
+    const stage = this._compositeStage;
+    const url = stage.carriers[stage.phase];
+    stage.carrier.setAttribute('href', url);
+    stage.carrier.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', url);
+  }
+
+  /** Composite task: step the subcarrier phase so the dots crawl (held still in safe mode or without dot crawl). */
+  animateComposite() {
+    const stage = this._compositeStage;
+    if (!stage || !stage.carriers || this.isSafeMode() || !(this.config.compositeDotCrawl > 0)) return COMPOSITE_FIELD_INTERVAL;
+    stage.phase = (stage.phase + 1) % stage.carriers.length;
+    this._showCarrier();
+    return COMPOSITE_FIELD_INTERVAL;
+  }
+
+  /**
+   * Monochrome phosphor: filtered content is reduced to luminance (feColorMatrix) and mapped onto a
+   * ramp from black through the phosphor color to a whitish highlight (feComponentTransfer tables).
+   * Part of the filter unless `phosphor` is 'color'.
+   */
+  updatePhosphor() {
+    const root = this._filterRoot();
+    const filter = root.getElementById(`crt-barrel-${this._uid}`);
+    if (!filter) return;
+    const rgb = this.config.phosphor === 'color' ? null : parseBloomColor(this.config.phosphor);
+    if (Boolean(rgb) !== Boolean(this._phosphorStage)) {
+      if (rgb) {
+        const luma = createFilterPrimitive('feColorMatrix', { in: 'graded', type: 'matrix', values: PHOSPHOR_LUMA_MATRIX, result: 'phosphorLuma' });
+        const ramp = createFilterPrimitive('feComponentTransfer', { in: 'phosphorLuma', result: 'graded' });
+        const funcs = ['feFuncR', 'feFuncG', 'feFuncB'].map(tag => createFilterPrimitive(tag, { type: 'table', tableValues: '0 1' }));
+        funcs.forEach(func => ramp.appendChild(func));
+        this._phosphorStage = { funcs, nodes: [luma, ramp] };
+        const before = this._filterStageAnchor(this._convergenceStage, this._signalStage, this._compareStage);
+        this._phosphorStage.nodes.forEach(node => filter.insertBefore(node, before));
+      } else {
+        this._phosphorStage.nodes.forEach(node => node.remove());
+        this._phosphorStage = null;
+      }
+      this.updateBarrel();
+    }
+    if (rgb) this._phosphorStage.funcs.forEach((func, i) => func.setAttribute('tableValues', phosphorRamp(rgb[i])));
+  }
+
+  /**
+   * RGB convergence error on page content: red and blue are split off (feColorMatrix), offset in
+   * opposite directions (feOffset), pushed further apart toward the edges by a radial displacement,
+   * and screened back together with green. Part of the filter while `convergence` is above 0.
+   */
+  updateConvergence() {
+    const root = this._filterRoot();
+    const filter = root.getElementById(`crt-barrel-${this._uid}`);
+    if (!filter) return;
+    const on = this.config.convergence > 0;
+    if (on !== Boolean(this._convergenceStage)) {
+      if (on) {
+        this._convergenceStage = this._createConvergenceStage();
+        const before = this._filterStageAnchor(this._signalStage, this._compareStage);
+        this._convergenceStage.nodes.forEach(node => filter.insertBefore(node, before));
+      } else {
+        this._convergenceStage.nodes.forEach(node => node.remove());
+        this._convergenceStage = null;
+      }
+      this.updateBarrel();
+    }
+    const stage = this._convergenceStage;
+    if (!stage) return;
+
+    // Amounts are in px on the picture; the filter works in fractions of the target box
+    const size = this._pictureSize();
+    const width = Math.max(1, Math.round(size.width));
+    const height = Math.max(1, Math.round(size.height));
+    const { convergence, convergenceCenter } = this.config;
+    const center = Math.min(1, Math.max(0, convergenceCenter));
+    const shift = (convergence * center) / width;
+    // The radial map moves corners by half the scale; the rest of the offset builds up toward them
+    const scale = (2 * convergence * (1 - center)) / width;
+    stage.redShift.setAttribute('dx', String(shift));
+    stage.blueShift.setAttribute('dx', String(-shift));
+    stage.redWarp.setAttribute('scale', String(scale));
+    stage.blueWarp.setAttribute('scale', String(-scale));
+    const key = `${width}x${height}`;
+    if (stage.mapKey !== key) {
+      const url = this.buildBarrelMap(width, height, 1, 1);
+      stage.map.setAttribute('href', url);
+      stage.map.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', url);
+      stage.mapKey = key;
+    }
+  }
+
+  _createConvergenceStage() {
+    const map = createFilterPrimitive('feImage', { x: '0', y: '0', width: '1', height: '1', preserveAspectRatio: 'none', result: 'convergenceMap' });
+    const red = createFilterPrimitive('feColorMatrix', { in: 'graded', type: 'matrix', values: CHANNEL_MATRICES.red, result: 'convergenceRed' });
+    const redShift = createFilterPrimitive('feOffset', { in: 'convergenceRed', dx: '0', dy: '0', result: 'convergenceRedShift' });
+    const redWarp = createFilterPrimitive('feDisplacementMap', { in: 'convergenceRedShift', in2: 'convergenceMap', scale: '0', xChannelSelector: 'R', yChannelSelector: 'G', result: 'convergenceRedOut' });
+    const blue = createFilterPrimitive('feColorMatrix', { in: 'graded', type: 'matrix', values: CHANNEL_MATRICES.blue, result: 'convergenceBlue' });
+    const blueShift = createFilterPrimitive('feOffset', { in: 'convergenceBlue', dx: '0', dy: '0', result: 'convergenceBlueShift' });
+    const blueWarp = createFilterPrimitive('feDisplacementMap', { in: 'convergenceBlueShift', in2: 'convergenceMap', scale: '0', xChannelSelector: 'R', yChannelSelector: 'G', result: 'convergenceBlueOut' });
+    const green = createFilterPrimitive('feColorMatrix', { in: 'graded', type: 'matrix', values: CHANNEL_MATRICES.green, result: 'convergenceGreen' });
+    // Screen adds the single-channel images back into one picture
+    const redGreen = createFilterPrimitive('feBlend', { in: 'convergenceRedOut', in2: 'convergenceGreen', mode: 'screen', result: 'convergenceRedGreen' });
+    const merged = createFilterPrimitive('feBlend', { in: 'convergenceBlueOut', in2: 'convergenceRedGreen', mode: 'screen', result: 'graded' });
+    return {
+      map, redShift, redWarp, blueShift, blueWarp, mapKey: null,
+      nodes: [map, red, redShift, redWarp, blue, blueShift, blueWarp, green, redGreen, merged],
+    };
+  }
+
+  /** Show the signal layer and run its task while any artifact is enabled; switch the filter stage to match. */
+  updateSignal() {
+    const layer = this.shadowRoot.querySelector('.crt-signal');
+    if (!layer) return;
+    const { humBars, verticalHold, trackingNoise, syncTear } = this.config;
+    const safe = this.isSafeMode();
+    const active = SIGNAL_TOGGLES.some(key => this.config[key]);
+    layer.style.display = active ? 'block' : 'none';
+    layer.querySelector('.crt-hum').style.display = humBars ? 'block' : 'none';
+    layer.querySelector('.crt-hold-bar').style.display = verticalHold && !safe ? 'block' : 'none';
+    layer.querySelector('.crt-tracking').style.display = trackingNoise ? 'block' : 'none';
+    if (active && !this._signal) {
+      this._signal = { time: null, hum: 0, drift: 0, roll: 0, rollLeft: 0, tear: null, tracking: null, trackingAt: 0, mapDirty: true, mapCanvas: null };
+      this.scheduler.add('signal', (time) => this.animateSignal(time));
+    } else if (!active && this._signal) {
+      this.scheduler.remove('signal');
+      this._signal = null;
+    }
+    if (this._signal) {
+      // Settings changed under a running task: let it redraw the band and the torn lines
+      this._signal.trackingAt = 0;
+      this._signal.mapDirty = true;
+    }
+    this._setSignalFilter(active && !safe && (verticalHold || trackingNoise || syncTear));
+  }
+
+  // Append (or remove) the roll/tear stage after the barrel stage of the page filter
+  _setSignalFilter(on) {
+    const root = this._filterRoot();
+    const filter = root.getElementById(`crt-barrel-${this._uid}`);
+    if (!filter || on === Boolean(this._signalStage)) return;
+    if (on) {
+      // Each map row holds a horizontal shift in R; G stays neutral so lines only move sideways
+      const tearMap = createFilterPrimitive('feImage', { id: `crt-tear-map-${this._uid}`, x: '0', y: '0', width: '1', height: '1', preserveAspectRatio: 'none', result: 'tearMap' });
+      const tear = createFilterPrimitive('feDisplacementMap', { id: `crt-tear-${this._uid}`, in: 'graded', in2: 'tearMap', scale: '0', xChannelSelector: 'R', yChannelSelector: 'G', result: 'torn' });
+      // Two copies a screen apart so a rolling picture wraps around
+      const rollA = createFilterPrimitive('feOffset', { id: `crt-roll-a-${this._uid}`, in: 'torn', dx: '0', dy: '0', result: 'rollA' });
+      const rollB = createFilterPrimitive('feOffset', { id: `crt-roll-b-${this._uid}`, in: 'torn', dx: '0', dy: '-1', result: 'rollB' });
+      const merge = createFilterPrimitive('feMerge', {});
+      merge.appendChild(createFilterPrimitive('feMergeNode', { in: 'rollA' }));
+      merge.appendChild(createFilterPrimitive('feMergeNode', { in: 'rollB' }));
+      this._signalStage = { tearMap, tear, rollA, rollB, nodes: [tearMap, tear, rollA, rollB, merge] };
+      const before = this._filterStageAnchor(this._compareStage);
+      this._signalStage.nodes.forEach(node => filter.insertBefore(node, before));
+      if (this._signal) this._signal.mapDirty = true;
+    } else {
+      this._signalStage.nodes.forEach(node => node.remove());
+      this._signalStage = null;
+    }
+    this.updateBarrel();
+  }
+
+  /** Signal task: creep the hum bars, drift/roll the vertical hold, churn the tracking band and tear lines. */
+  animateSignal(time) {
+    const signal = this._signal;
+    const container = this.shadowRoot.querySelector('.crt-container');
+    if (!signal || !container) return;
+    const config = this.config;
+    const safe = this.isSafeMode();
+    const dt = signal.time === null ? 0 : (time - signal.time) / 1000;
+    signal.time = time;
+
+    // Hum bars: two bands per screen; the layer is 1.5 screens tall, so shifting by one band period loops
+    if (config.humBars) {
+      signal.hum = (signal.hum + dt * config.humBarsSpeed) % 0.5;
+      container.querySelector('.crt-hum').style.transform = `translateY(${(signal.hum * 200 / 3).toFixed(3)}%)`;
+    }
+
+    // Vertical hold: the picture wobbles around its lock point; now and then the lock slips for a roll or two
+    let offset = 0;
+    if (config.verticalHold && !safe) {
+      const intensity = config.verticalHoldIntensity;
+      signal.drift += dt;
+      if (signal.rollLeft <= 0 && Math.random() < dt * 0.25 * intensity) {
+        signal.rollLeft = 1 + Math.floor(Math.random() * 2 * intensity);
+      }
+      if (signal.rollLeft > 0) {
+        const step = Math.min(signal.rollLeft, dt * config.verticalHoldSpeed);
+        signal.rollLeft -= step;
+        signal.roll = signal.rollLeft > 0 ? (signal.roll + step) % 1 : 0;
+      }
+      const drift = 0.02 * intensity * Math.sin(2 * Math.PI * 0.3 * signal.drift);
+      offset = (((signal.roll + drift) % 1) + 1) % 1;
+      // The blanking interval shows as a black bar just above the top of the picture
+      container.querySelector('.crt-hold-bar').style.top = `${(offset * 100 - 8).toFixed(3)}%`;
+    }
+
+    // Tracking noise: a band of stretched grain along the bottom whose lines slip sideways
+    if (config.trackingNoise && time >= signal.trackingAt) {
+      const band = container.querySelector('.crt-tracking');
+      const intensity = config.trackingNoiseIntensity;
+      const height = (0.03 + 0.09 * intensity) * (safe ? 1 : 0.75 + 0.5 * Math.random());
+      const slips = safe ? [] : Array.from({ length: 6 }, () => ({ y: 1 - Math.random() * height, shift: (Math.random() - 0.5) * intensity }));
+      signal.tracking = { height, slips };
+      signal.mapDirty = true;
+      container.style.setProperty('--tracking-height', `${(height * 100).toFixed(2)}%`);
+      const frames = sharedGrain.frames;
+      if (frames.length) {
+        band.style.backgroundImage = `url(${frames[(Math.random() * frames.length) | 0]})`;
+        band.style.backgroundSize = `${GRAIN_FRAME_SIZE * 4}px ${4 + ((Math.random() * 6) | 0)}px`;
+        band.style.backgroundPosition = `${(Math.random() * GRAIN_FRAME_SIZE * 4) | 0}px ${(Math.random() * 16) | 0}px`;
+      }
+      // Safe mode draws the band once, still
+      signal.trackingAt = safe && frames.length ? Infinity : time + 60 / Math.max(config.trackingNoiseSpeed, 0.05);
+    } else if (!config.trackingNoise && signal.tracking) {
+      signal.tracking = null;
+      signal.mapDirty = true;
+    }
+
+    // Sync tear: now and then a band of lines is dragged sideways, hardest at its top edge
+    if (config.syncTear && !safe) {
+      if (signal.tear && time >= signal.tear.end) {
+        signal.tear = null;
+        signal.mapDirty = true;
+      }
+      if (!signal.tear && Math.random() < dt * config.syncTearSpeed) {
+        const direction = Math.random() < 0.5 ? -1 : 1;
+        signal.tear = {
+          top: Math.random() * 0.9,
+          height: 0.05 + Math.random() * 0.25,
+          shift: direction * (0.4 + 0.6 * Math.random()) * config.syncTearIntensity,
+          end: time + 60 + Math.random() * 160,
+        };
+        signal.mapDirty = true;
+      }
+    } else if (signal.tear) {
+      signal.tear = null;
+      signal.mapDirty = true;
+    }
+
+    const stage = this._signalStage;
+    if (!stage) return;
+    stage.rollA.setAttribute('dy', String(offset));
+    stage.rollB.setAttribute('dy', String(offset - 1));
+    if (signal.mapDirty) {
+      signal.mapDirty = false;
+      const rows = new Float32Array(SIGNAL_MAP_ROWS);
+      const { tear, tracking } = signal;
+      if (tear) {
+        for (let i = 0; i < rows.length; i++) {
+          const f = ((i + 0.5) / rows.length - tear.top) / tear.height;
+          if (f >= 0 && f <= 1) rows[i] += tear.shift * (1 - f) * (1 - f);
+        }
+      }
+      if (tracking) {
+        tracking.slips.forEach(({ y, shift }) => {
+          const row = Math.min(rows.length - 1, Math.floor(y * rows.length));
+          rows[row] += shift;
+        });
+      }
+      const torn = rows.some(v => v !== 0);
+      stage.tear.setAttribute('scale', torn ? String(SIGNAL_TEAR_SCALE) : '0');
+      if (torn) {
+        const url = this.buildTearMap(rows);
+        stage.tearMap.setAttribute('href', url);
+        stage.tearMap.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', url);
+      }
+    }
+  }
+
+  /** One-pixel-wide displacement map with a horizontal shift (-1 to 1) per row, top to bottom. */
+  buildTearMap(rows) {
+    const signal = this._signal;
+    let canvas = signal && signal.mapCanvas;
+    if (!canvas) {
+      canvas = document.createElement('canvas');
+      canvas.width = 1;
+      canvas.height = rows.length;
+      if (signal) signal.mapCanvas = canvas;
+    }
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(1, rows.length);
+    rows.forEach((shift, i) => {
+      img.data[i * 4] = Math.round(128 + Math.max(-1, Math.min(1, shift)) * 127);
+      img.data[i * 4 + 1] = 128;
+      img.data[i * 4 + 2] = 128;
+      img.data[i * 4 + 3] = 255;
+    });
+    ctx.putImageData(img, 0, 0);
+    return canvas.toDataURL('image/png');
+  }
+
+  /** True when the safe-mode attribute is set or the user prefers reduced motion. */
+  isSafeMode() {
+    return this.config.safeMode || Boolean(this._reducedMotion && this._reducedMotion.matches);
+  }
+
+  watchMotionPreference() {
+    if (this._reducedMotion || typeof window.matchMedia !== 'function') return;
+    this._reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this._onMotionPreference = () => this.updateSafeMode();
+    this._reducedMotion.addEventListener('change', this._onMotionPreference);
+    this.updateSafeMode();
+  }
+
+  unwatchMotionPreference() {
+    if (!this._reducedMotion) return;
+    this._reducedMotion.removeEventListener('change', this._onMotionPreference);
+    this._reducedMotion = null;
+    this._onMotionPreference = null;
+  }
+
+  /** Follow devicePixelRatio changes (zoom, another display); the query only matches the current ratio, so it is re-armed on each change. */
+  watchResolution() {
+    if (this._resolutionQuery || typeof window.matchMedia !== 'function') return;
+    this._resolutionQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    this._onResolutionChange = () => {
+      this.unwatchResolution();
+      this.watchResolution();
+      this.updateLines();
+    };
+    this._resolutionQuery.addEventListener('change', this._onResolutionChange);
+  }
+
+  unwatchResolution() {
+    if (!this._resolutionQuery) return;
+    this._resolutionQuery.removeEventListener('change', this._onResolutionChange);
+    this._resolutionQuery = null;
+    this._onResolutionChange = null;
+  }
+
+  /** Apply safe mode: static interlace, no fringe jitter, flash amplitude under the WCAG luminance threshold, no rolling or tearing. */
+  updateSafeMode() {
+    const safe = this.isSafeMode();
+    const container = this.shadowRoot.querySelector('.crt-container');
+    if (container) {
+      container.classList.toggle('crt-safe', safe);
+      // Peak added luminance of a flash is flickerOpacity * peak opacity (screen blend over black)
+      const peak = safe ? Math.min(0.25, SAFE_FLASH_LUMINANCE / Math.max(this.config.flickerOpacity, 0.001)) : 0.25;
+      container.style.setProperty('--flicker-peak', peak);
+    }
+    this._refreshPanels('safeMode');
+    this.updateSignal();
   }
 
   updateStyles() {
@@ -773,7 +1177,6 @@ class CRTOverlay extends HTMLElement {
     container.style.setProperty('--fringe-jitter-speed', `${this.config.fringeJitterSpeed}s`);
     container.style.setProperty('--fringe-jitter-amount', `${this.config.fringeJitterAmount}px`);
     container.style.setProperty('--noise-opacity', this.config.noiseOpacity);
-    container.style.setProperty('--scan-size', `${this.config.scanSize}px`);
     container.style.setProperty('--scan-density', this.config.scanDensity);
     container.style.setProperty('--phosphor-size', `${this.config.phosphorSize}px`);
     container.style.setProperty('--phosphor-red', this.config.phosphorOpacityRed);
@@ -795,76 +1198,77 @@ class CRTOverlay extends HTMLElement {
     container.style.setProperty('--color-palette-shift', `${this.config.colorPaletteShift}deg`);
     container.style.setProperty('--interlace-speed', `${this.config.interlaceSpeed}s`);
     container.style.setProperty('--flicker-opacity', this.config.flickerOpacity);
+    container.style.setProperty('--hum-bars-intensity', this.config.humBarsIntensity);
+    container.style.setProperty('--tracking-noise-intensity', this.config.trackingNoiseIntensity);
     container.style.setProperty('--global-opacity', this.config.opacity);
+    this.updateSafeMode();
     container.style.opacity = this.config.opacity; // Apply global opacity to container
     this.updateModeZIndex();
-    this.updateExternalBloomLayer(); this.applyGlobalFilters(); this.dispatchEvent(new CustomEvent('bloom-change',{detail:{bloom:this.config.bloom},bubbles:true,composed:true}));
+    this.updateExternalBloomLayer(); this.updateLines(); this.updatePalette(); this.updateComposite(); this.updatePhosphor(); this.updateConvergence(); this.applyGlobalFilters(); this.dispatchEvent(new CustomEvent('bloom-change',{detail:{bloom:this.config.bloom},bubbles:true,composed:true}));
+    if (this._initialized) this.schedulePersist();
   }
 
+  /**
+   * Render the scanline mask, hairlines and phosphor triad as device-pixel tiles (see buildMaskCss).
+   * Rebuilt only when the mask geometry, darkness or devicePixelRatio changes.
+   */
   applyScanlineMask() {
     const container = this.shadowRoot.querySelector('.crt-container');
     if (!container) return;
-    
-    // Create style element if it doesn't exist
+
     let maskStyle = this.shadowRoot.querySelector('#scanline-mask-style');
     if (!maskStyle) {
       maskStyle = document.createElement('style');
       maskStyle.id = 'scanline-mask-style';
       this.shadowRoot.appendChild(maskStyle);
     }
-    
-    // Apply different scanline + hairline + interlacing patterns based on mask type
-    switch (this.config.scanlineMask) {
-      case 'aperture-grille':
-        // Trinitron-style: vertical stripes only, no horizontal scanlines or interlacing
-        maskStyle.textContent = `
-          .crt-scanlines { background-image: repeating-linear-gradient(90deg, rgba(0,0,0,var(--scanline-color)) 0px, transparent 1px, transparent 2px) !important; }
-          .crt-scanlines::after { display: none !important; }
-        `;
-        break;
-      case 'slot-mask':
-        // Vertical slots with subtle horizontal pattern, no interlacing animation
-        maskStyle.textContent = `
-          .crt-scanlines { background-image: repeating-linear-gradient(90deg, rgba(0,0,0,var(--scanline-color)) 0px, transparent 0.5px, transparent 3px), repeating-linear-gradient(0deg, transparent 0px, rgba(0,0,0,calc(var(--scanline-color) * 0.3)) calc(var(--scan-size) - 0.5px), rgba(0,0,0,calc(var(--scanline-color) * 0.3)) var(--scan-size)) !important; }
-          .crt-scanlines::after { background-image: repeating-linear-gradient(90deg, rgba(255,255,255,0.4) 0px, transparent 0.3px, transparent 3px) !important; background-size: 100% 100% !important; animation: none !important; }
-        `;
-        break;
-      case 'sharp':
-        // High-definition sharp scanlines with crisp hairlines, no interlacing (static pattern)
-        maskStyle.textContent = `
-          .crt-scanlines { background-image: repeating-linear-gradient(0deg, transparent 0px, transparent calc(var(--scan-size) - 1px), rgba(0,0,0,var(--scanline-color)) calc(var(--scan-size) - 1px), rgba(0,0,0,var(--scanline-color)) var(--scan-size)) !important; }
-          .crt-scanlines::after { background-image: repeating-linear-gradient(0deg, rgba(255,255,255,1) 0px, transparent 0.5px, transparent calc(var(--scan-size) * var(--scan-density))) !important; animation: none !important; }
-        `;
-        break;
-      case 'soft':
-        // Softer, blended scanlines with subtle hairlines and gentle interlacing
-        maskStyle.textContent = `
-          .crt-scanlines { background-image: repeating-linear-gradient(0deg, rgba(0,0,0,0) 0px, rgba(0,0,0,calc(var(--scanline-color) * 0.6)) calc(var(--scan-size) * 0.5), rgba(0,0,0,0) var(--scan-size)) !important; }
-          .crt-scanlines::after { 
-            background-image: repeating-linear-gradient(0deg, rgba(255,255,255,0.6) 0px, rgba(255,255,255,0.4) 0.5px, transparent 0.8px, transparent calc(var(--scan-size) * var(--scan-density))) !important; 
-            animation: interlaceSoft var(--interlace-speed) ease-in-out infinite !important;
-          }
-          @keyframes interlaceSoft {
-            0%, 100% { transform: translateY(0); opacity: var(--hairline-opacity); }
-            50% { transform: translateY(0.5px); opacity: calc(var(--hairline-opacity) * 0.8); }
-          }
-        `;
-        break;
-      case 'shadow-mask':
-      default:
-        // Traditional CRT: standard horizontal scanlines with animated interlaced hairlines
-        maskStyle.textContent = `
-          .crt-scanlines { background-image: repeating-linear-gradient(0deg, transparent 0px, transparent calc(var(--scan-size) - 0.5px), rgba(0,0,0,calc(0.65 * (1 - var(--scanline-color)))) calc(var(--scan-size) - 0.5px), rgba(0,0,0,calc(0.65 * (1 - var(--scanline-color)))) var(--scan-size)) !important; }
-          .crt-scanlines::after { 
-            background-image: repeating-linear-gradient(0deg, rgba(255,255,255,1) 0px, rgba(255,255,255,0.85) 0.8px, transparent 0.8px, transparent calc(var(--scan-size) * var(--scan-density))) !important; 
-            animation: interlace var(--interlace-speed) steps(2) infinite !important;
-          }
-        `;
-        break;
-    }
+
+    const c = this.config;
+    const lines = parseLines(c.lines);
+    const height = Math.round(this._pictureSize().height);
+    const options = {
+      type: MASK_TYPES.includes(c.scanlineMask) ? c.scanlineMask : 'shadow-mask',
+      dpr: window.devicePixelRatio || 1,
+      pitch: this.getScanSize(),
+      lines: lines && height > 0 ? { ...lines, height } : null,
+      density: c.scanDensity,
+      darkness: 0.65 * (1 - c.scanlineColor),
+      triad: { size: c.phosphorSize, red: c.phosphorOpacityRed, green: c.phosphorOpacityGreen, blue: c.phosphorOpacityBlue },
+    };
+    const key = JSON.stringify(options);
+    if (maskStyle.dataset.key === key) return;
+    maskStyle.textContent = buildMaskCss(options);
+    maskStyle.dataset.key = key;
   }
 
   updateModeZIndex() {
+    // Nothing animates while disabled, except a source pipeline that still has to show raw frames
+    this.scheduler.block('disabled', this.config.mode === 0 && !this._source);
+
+    if (this._source) {
+      // The source pipeline draws the effect itself; keep the CSS layers out of the way
+      const container = this.shadowRoot.querySelector('.crt-container');
+      if (this.config.scope === 'self') {
+        if (container) container.style.visibility = 'hidden';
+      } else {
+        this.style.visibility = 'hidden';
+      }
+      if (this.externalBloomLayer) this.externalBloomLayer.style.visibility = 'hidden';
+      return;
+    }
+
+    if (this.config.scope === 'self') {
+      // Scoped overlays stack inside their own box; mode only switches the effect layers on or off
+      const visibility = this.config.mode === 0 ? 'hidden' : 'visible';
+      this.style.visibility = '';
+      this.style.pointerEvents = '';
+      this.style.zIndex = '';
+      const container = this.shadowRoot.querySelector('.crt-container');
+      if (container) container.style.visibility = visibility;
+      if (this.externalBloomLayer) this.externalBloomLayer.style.visibility = visibility;
+      return;
+    }
+
     let zIndex;
     switch(this.config.mode) {
       case 0: // disabled
@@ -894,51 +1298,62 @@ class CRTOverlay extends HTMLElement {
   }
 
   updateBarrel() {
-    const disp = document.getElementById(`crt-disp-${this._uid}`);
-    const turb = document.getElementById(`crt-turb-${this._uid}`);
-    if (disp) disp.setAttribute('scale', String(this.config.barrel));
-    if (turb){ const freq = Math.max(0.12, 0.35*(this.config.barrel/3)); turb.setAttribute('baseFrequency', String(freq)); }
+    const root = this._filterRoot();
+    const disp = root.getElementById(`crt-disp-${this._uid}`);
+    const map = root.getElementById(`crt-map-${this._uid}`);
+    const curvature = this.getBarrelCurvature();
+    const strength = Math.max(Math.abs(curvature.x), Math.abs(curvature.y));
+    if (disp) disp.setAttribute('scale', String(strength));
+    if (map && strength > 0) {
+      const ratioX = curvature.x / strength;
+      const ratioY = curvature.y / strength;
+      const { width, height } = this._pictureSize();
+      const key = `${width}x${height}:${ratioX}:${ratioY}`;
+      if (this._barrelMapKey !== key) {
+        const url = this.buildBarrelMap(width, height, ratioX, ratioY);
+        map.setAttribute('href', url);
+        map.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', url);
+        this._barrelMapKey = key;
+      }
+    }
     
     // Only apply barrel if enabled (mode 1 or 2, not mode 0)
-    const shouldApplyBarrel = this.config.barrel > 0 && this.config.mode > 0;
+    const shouldApplyBarrel = this.hasPageFilter() && this.config.mode > 0;
     const filterValue = shouldApplyBarrel ? `url(#crt-barrel-${this._uid})` : 'none';
     const container = this.shadowRoot.querySelector('.crt-container'); if (container) container.style.filter = 'none';
     this.applyGlobalFilters(filterValue);
-    this.dispatchEvent(new CustomEvent('barrel-change',{detail:{barrel:this.config.barrel,filterId:`crt-barrel-${this._uid}`},bubbles:true,composed:true}));
+    this.dispatchEvent(new CustomEvent('barrel-change',{detail:{barrel:this.config.barrel,curvature,filterId:`crt-barrel-${this._uid}`},bubbles:true,composed:true}));
   }
 
   applyGlobalFilters(barrelFilterValue){
+    // A compare companion's filter runs as the second half of its overlay's chain
+    if (this._compareOf) {
+      this._compareOf.applyGlobalFilters();
+      return;
+    }
     const varName = `--crt-filter-chain-${this._uid}`;
     const bodyClass = `crt-filtered-${this._uid}`;
     
-    // Set barrel filter CSS var
-    const barrel = barrelFilterValue || (this.config.barrel>0 && this.config.mode > 0 ? `url(#crt-barrel-${this._uid})` : 'none');
-    document.documentElement.style.setProperty(varName, barrel);
-    
-    // Determine target for barrel filter based on mode
-    let target;
-    if (this.config.mode === 1) {
-      // Behind content mode: apply barrel only to background
-      target = this.config.applyBarrelTo || '.bg-image';
-    } else if (this.config.mode === 2) {
-      // On top mode: apply barrel to all content except overlay's own elements and portal
-      // (portal excluded to prevent positioning issues with fixed elements)
-      target = this.config.applyBarrelTo || '> *:not(crt-overlay):not(.crt-controls-portal):not(.crt-external-bloom):not(.jrpg-portal)';
-    } else {
-      // Disabled mode: no barrel
-      target = null;
-    }
-    
-    // Build complete filter chain: barrel + hue-rotate
-    let filterChain = barrel;
-    if (this.config.colorPaletteShift !== 0) {
-      const hueFilter = `hue-rotate(${this.config.colorPaletteShift}deg)`;
-      filterChain = barrel === 'none' 
-        ? hueFilter 
-        : `${barrel} ${hueFilter}`;
+    // Page filters are off when disabled or while a source pipeline renders the effect
+    const enabled = this.config.mode > 0 && !this._source;
+    let filterChain = this._pageFilterChain(barrelFilterValue);
+    const twin = this._compareTwin;
+    const twinChain = twin && twin._initialized ? twin._pageFilterChain() : 'none';
+    if (twinChain !== 'none') filterChain = filterChain === 'none' ? twinChain : `${filterChain} ${twinChain}`;
+
+    // Scoped overlays filter their own slotted content and never touch the document
+    if (this.config.scope === 'self') {
+      const content = this.shadowRoot.querySelector('.crt-content');
+      if (content) content.style.filter = enabled ? filterChain : 'none';
+      return;
     }
+
+    // Set filter chain CSS var
     document.documentElement.style.setProperty(varName, filterChain);
     
+    // Determine target for barrel filter based on mode
+    const target = this._filterTargetSelector();
+
     // Inject CSS rule for filter application (barrel + color shift)
     if (this._globalStyle && target) {
       const css = `body.${bodyClass} ${target} { filter: var(${varName}, none) !important; }`;
@@ -948,41 +1363,76 @@ class CRTOverlay extends HTMLElement {
     }
     
     // Add or remove body class based on whether any global filter is active
-    if ((this.config.barrel > 0 || this.config.colorPaletteShift !== 0) && this.config.mode > 0) {
+    if (filterChain !== 'none' && enabled) {
       document.body.classList.add(bodyClass);
     } else {
       document.body.classList.remove(bodyClass);
     }
   }
 
-  ensureGlobalFilterStyle() { 
-    if (this._globalStyle) return; 
-    
-    const id = `crt-global-filter-style-${this._uid}`; 
-    const style = document.createElement('style'); 
-    style.id = id; 
-    this._globalStyle = style; 
-    document.head.appendChild(style); 
-  }
-
-  createExternalBloomLayer() { 
-    if (this.externalBloomLayer) return; 
-    
-    const layer = document.createElement('div'); 
-    layer.className = 'crt-external-bloom'; 
-    layer.style.position = 'fixed'; 
-    layer.style.inset = '0'; 
-    layer.style.pointerEvents = 'none'; 
-    
-    // Insert before overlay in DOM to respect z-index
-    if (this.parentElement) {
-      this.parentElement.insertBefore(layer, this); 
-    } else {
-      document.body.appendChild(layer); 
+  // This overlay's part of the page filter chain: the SVG filter, then the hue shift (inside the filter while comparing)
+  _pageFilterChain(barrelFilterValue) {
+    const enabled = this.config.mode > 0 && !this._source;
+    const barrel = !enabled ? 'none' : barrelFilterValue || (this.hasPageFilter() ? `url(#crt-barrel-${this._uid})` : 'none');
+    const hue = this.getHueShift();
+    if (this._compareStage) {
+      this._compareStage.hue.setAttribute('values', String(hue));
+      return barrel;
     }
-    
-    this.externalBloomLayer = layer; 
-    this.updateExternalBloomLayer(); 
+    if (hue === 0) return barrel;
+    const hueFilter = `hue-rotate(${hue}deg)`;
+    return barrel === 'none' ? hueFilter : `${barrel} ${hueFilter}`;
+  }
+
+  // Page content (relative to body) that receives the barrel filter in the current mode, or null
+  _filterTargetSelector() {
+    if (this.config.mode === 0 || this._source) {
+      // Disabled mode: no barrel
+      return null;
+    } else if (this.config.mode === 1) {
+      // Behind content mode: apply barrel only to background
+      return this.config.applyBarrelTo || '.bg-image';
+    }
+    // On top mode: apply barrel to all content except overlay's own elements and portal
+    // (portal excluded to prevent positioning issues with fixed elements)
+    return this.config.applyBarrelTo || '> *:not(crt-overlay):not(crt-controls):not(.crt-external-bloom):not(.crt-power-layer):not(.crt-compare-divider):not(.jrpg-portal)';
+  }
+
+  ensureGlobalFilterStyle() {
+    if (this._globalStyle || this.config.scope === 'self' || this._compareOf) return;
+
+    const id = `crt-global-filter-style-${this._uid}`;
+    const style = document.createElement('style');
+    style.id = id;
+    this._globalStyle = style;
+    document.head.appendChild(style);
+  }
+
+  createExternalBloomLayer() {
+    if (this.externalBloomLayer) return;
+
+    // Scoped overlays blur their own content through the in-shadow bloom layer
+    if (this.config.scope === 'self') {
+      this.externalBloomLayer = this.shadowRoot.querySelector('.crt-bloom');
+      this.updateExternalBloomLayer();
+      return;
+    }
+
+    const layer = document.createElement('div');
+    layer.className = 'crt-external-bloom';
+    layer.style.position = 'fixed';
+    layer.style.inset = '0';
+    layer.style.pointerEvents = 'none';
+
+    // Insert before overlay in DOM to respect z-index
+    if (this.parentElement) {
+      this.parentElement.insertBefore(layer, this);
+    } else {
+      document.body.appendChild(layer);
+    }
+
+    this.externalBloomLayer = layer;
+    this.updateExternalBloomLayer();
   }
 
   updateExternalBloomLayer() {
@@ -991,11 +1441,14 @@ class CRTOverlay extends HTMLElement {
     const b = this.config.bloom;
     this.updateModeZIndex(); // Ensure z-index is correct
     
+    const glow = this._bloomGlow();
+
     // Hide bloom layer completely when bloom is very low or disabled
     if (b < 0.01) {
       s.backdropFilter = 'none';
       s.webkitBackdropFilter = 'none';
       s.opacity = this.config.opacity;
+      glow.style.background = 'none';
       return;
     }
     
@@ -1006,230 +1459,759 @@ class CRTOverlay extends HTMLElement {
     s.backdropFilter = `blur(${blurPx}px) brightness(${bright})`;
     s.webkitBackdropFilter = s.backdropFilter;
     s.opacity = this.config.opacity; // Apply global opacity to bloom layer too
+
+    // Tint the glow with the phosphor color: a radial wash screened over the blurred
+    // backdrop, sized by bloom-radius/decay. Neutral colors add nothing, so white stays untinted.
+    const rgb = parseBloomColor(this.config.bloomColor) || BLOOM_TINTS.white;
+    const chroma = Math.max(...rgb) - Math.min(...rgb);
+    const alpha = Math.min(0.4, b * this.config.bloomBrightness * chroma);
+    if (alpha < 0.005) {
+      glow.style.background = 'none';
+      return;
+    }
+    const [r, g, bl] = rgb.map(n => Math.round(n * 255));
+    const radius = this.config.bloomRadius;
+    glow.style.background = `radial-gradient(ellipse ${radius}px ${Math.round(radius * 0.75)}px at 50% 50%, rgba(${r},${g},${bl},${alpha.toFixed(3)}) 0%, transparent ${this.config.bloomDecay}%)`;
   }
 
+  // Colored glow child of the bloom layer (created lazily)
+  _bloomGlow() {
+    let glow = this.externalBloomLayer.querySelector('.crt-bloom-glow');
+    if (!glow) {
+      glow = document.createElement('div');
+      glow.className = 'crt-bloom-glow';
+      glow.style.cssText = 'position:absolute;inset:0;pointer-events:none;mix-blend-mode:screen';
+      this.externalBloomLayer.appendChild(glow);
+    }
+    return glow;
+  }
 
-  getPreset(name){
-    const presets = {
-      // CLASSIC DESKTOP CRTs
-      'default': { 
-        scanOpacity:0.85, scanlineColor:0, hairlineOpacity:0.18, fringeOpacity:0.25, fringeDominant:0.5, fringeJitterSpeed:3.2, fringeJitterAmount:2, noiseOpacity:0.22, 
-        barrel:2, scanSize:4, scanDensity:2, phosphorSize:1, phosphorOpacityRed:0.15, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.15, bloom:0.15, bloomColor:'white', bloomRadius:1400, bloomDecay:55, bloomBlur:10, bloomBrightness:1.2,
-        vignetteOpacity:0.5, vignetteRadius:85, vignetteFeather:40, vignetteColorLight:0.35, vignetteColorDark:0.7, reflectionOpacity:0.03, reflectionSize:1400, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.08, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08
-      },
-      'trinitron-fd': { 
-        // Trinitron FD series: crisp, low scanline visibility, minimal aberration, aperture grille
-        scanOpacity:0.72, scanlineColor:0.08, hairlineOpacity:0.16, fringeOpacity:0.12, fringeDominant:0.4, fringeJitterSpeed:2.8, fringeJitterAmount:1.5, noiseOpacity:0.1, 
-        barrel:1.8, scanSize:3.5, scanDensity:2.2, phosphorSize:0.9, phosphorOpacityRed:0.14, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.13, bloom:0.24, bloomColor:'white', bloomRadius:1350, bloomDecay:50, bloomBlur:9, bloomBrightness:1.3,
-        vignetteOpacity:0.88, vignetteRadius:82, vignetteFeather:35, vignetteColorLight:0.3, vignetteColorDark:0.65, reflectionOpacity:0.025, reflectionSize:1350, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'aperture-grille', flickerOpacity:0.05, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08
-      },
-      'professional-monitor': { 
-        // Professional business monitor: high contrast, visible scanlines, heavy noise
-        scanOpacity:0.92, scanlineColor:0.02, hairlineOpacity:0.14, fringeOpacity:0.18, fringeDominant:0.6, fringeJitterSpeed:3.5, fringeJitterAmount:2.5, noiseOpacity:0.32, 
-        barrel:2.6, scanSize:4.5, scanDensity:1.8, phosphorSize:1.1, phosphorOpacityRed:0.16, phosphorOpacityGreen:0.14, phosphorOpacityBlue:0.15, bloom:0.09, bloomColor:'white', bloomRadius:1300, bloomDecay:60, bloomBlur:8, bloomBrightness:1,
-        vignetteOpacity:0.94, vignetteRadius:88, vignetteFeather:38, vignetteColorLight:0.4, vignetteColorDark:0.75, reflectionOpacity:0.035, reflectionSize:1300, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.12, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08
-      },
-      'monitor-1084s': { 
-        // 1084S home computer monitor: warm, visible scanlines, high barrel, vibrant
-        scanOpacity:0.88, scanlineColor:0.06, hairlineOpacity:0.21, fringeOpacity:0.32, fringeDominant:0.65, fringeJitterSpeed:3.8, fringeJitterAmount:3, noiseOpacity:0.35, 
-        barrel:3.4, scanSize:6, scanDensity:1.6, phosphorSize:1.4, phosphorOpacityRed:0.18, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.12, bloom:0.2, bloomColor:'amber', bloomRadius:1450, bloomDecay:52, bloomBlur:12, bloomBrightness:1.4,
-        vignetteOpacity:0.87, vignetteRadius:84, vignetteFeather:42, vignetteColorLight:0.32, vignetteColorDark:0.68, reflectionOpacity:0.04, reflectionSize:1450, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.13, flicker:true, colorPaletteShift:15, interlaceSpeed:0.08
-      },
-      'studio-display-crt': { 
-        // Studio Display CRT: flat, minimal effects, clean professional look
-        scanOpacity:0.65, scanlineColor:0.18, hairlineOpacity:0.25, fringeOpacity:0.1, fringeDominant:0.35, fringeJitterSpeed:2.5, fringeJitterAmount:1, noiseOpacity:0.06, 
-        barrel:1.1, scanSize:2.8, scanDensity:2.8, phosphorSize:0.65, phosphorOpacityRed:0.13, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.14, bloom:0.32, bloomColor:'white', bloomRadius:1250, bloomDecay:65, bloomBlur:14, bloomBrightness:1.5,
-        vignetteOpacity:0.82, vignetteRadius:80, vignetteFeather:32, vignetteColorLight:0.25, vignetteColorDark:0.55, reflectionOpacity:0.02, reflectionSize:1250, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'sharp', flickerOpacity:0.03, flicker:false, colorPaletteShift:-5, interlaceSpeed:0.12
-      },
-      'arcade-crt': { 
-        // Arcade Monitor: high contrast, heavy barrel, visible grain, vibrant bloom
-        scanOpacity:0.95, scanlineColor:0, hairlineOpacity:0.13, fringeOpacity:0.38, fringeDominant:0.7, fringeJitterSpeed:4.2, fringeJitterAmount:3.5, noiseOpacity:0.42, 
-        barrel:4.8, scanSize:7.5, scanDensity:1.3, phosphorSize:1.8, phosphorOpacityRed:0.16, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.14, bloom:0.32, bloomColor:'white', bloomRadius:1500, bloomDecay:48, bloomBlur:11, bloomBrightness:1.1,
-        vignetteOpacity:0.93, vignetteRadius:87, vignetteFeather:40, vignetteColorLight:0.38, vignetteColorDark:0.72, reflectionOpacity:0.045, reflectionSize:1500, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'soft', flickerOpacity:0.16, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08
-      },
-      
-      // PHOSPHOR COLOR VARIANTS
-      'amber-phosphor': { 
-        // Monochrome amber terminal: vintage computing aesthetic
-        scanOpacity:0.78, scanlineColor:0.22, hairlineOpacity:0.2, fringeOpacity:0.08, fringeDominant:0.5, fringeJitterSpeed:3, fringeJitterAmount:1.5, noiseOpacity:0.18, 
-        barrel:2.1, scanSize:4, scanDensity:2, phosphorSize:0.95, phosphorOpacityRed:0.18, phosphorOpacityGreen:0.12, phosphorOpacityBlue:0.08, bloom:0.22, bloomColor:'amber', bloomRadius:1400, bloomDecay:54, bloomBlur:11, bloomBrightness:1.3,
-        vignetteOpacity:0.86, vignetteRadius:84, vignetteFeather:39, vignetteColorLight:0.33, vignetteColorDark:0.66, reflectionOpacity:0.028, reflectionSize:1400, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.09, flicker:true, colorPaletteShift:25, interlaceSpeed:0.08
-      },
-      'green-phosphor': { 
-        // Monochrome green terminal: hacker aesthetic, VT220 style
-        scanOpacity:0.8, scanlineColor:0.18, hairlineOpacity:0.22, fringeOpacity:0.08, fringeDominant:0.5, fringeJitterSpeed:3, fringeJitterAmount:1.5, noiseOpacity:0.2, 
-        barrel:2.2, scanSize:4, scanDensity:2, phosphorSize:0.95, phosphorOpacityRed:0.08, phosphorOpacityGreen:0.18, phosphorOpacityBlue:0.08, bloom:0.2, bloomColor:'green', bloomRadius:1380, bloomDecay:56, bloomBlur:10, bloomBrightness:1.2,
-        vignetteOpacity:0.88, vignetteRadius:85, vignetteFeather:40, vignetteColorLight:0.34, vignetteColorDark:0.69, reflectionOpacity:0.03, reflectionSize:1380, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.08, flicker:true, colorPaletteShift:120, interlaceSpeed:0.08
-      },
-      'blue-phosphor': { 
-        // Rare blue phosphor: uncommon but distinctive
-        scanOpacity:0.76, scanlineColor:0.12, hairlineOpacity:0.19, fringeOpacity:0.1, fringeDominant:0.45, fringeJitterSpeed:2.8, fringeJitterAmount:1.5, noiseOpacity:0.16, 
-        barrel:1.9, scanSize:4, scanDensity:2.1, phosphorSize:0.9, phosphorOpacityRed:0.08, phosphorOpacityGreen:0.08, phosphorOpacityBlue:0.18, bloom:0.24, bloomColor:'blue', bloomRadius:1420, bloomDecay:53, bloomBlur:11, bloomBrightness:1.35,
-        vignetteOpacity:0.89, vignetteRadius:86, vignetteFeather:41, vignetteColorLight:0.36, vignetteColorDark:0.71, reflectionOpacity:0.032, reflectionSize:1420, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.07, flicker:true, colorPaletteShift:-40, interlaceSpeed:0.08
-      },
-      
-      // SPECIALIZED MONITORS
-      'vt220-terminal': { 
-        // DEC VT220 green-screen terminal: minimal distortion, functional aesthetic
-        scanOpacity:0.82, scanlineColor:0.15, hairlineOpacity:0.24, fringeOpacity:0.05, fringeDominant:0.5, fringeJitterSpeed:2.5, fringeJitterAmount:1, noiseOpacity:0.12, 
-        barrel:0.8, scanSize:3.2, scanDensity:2.5, phosphorSize:0.8, phosphorOpacityRed:0.05, phosphorOpacityGreen:0.18, phosphorOpacityBlue:0.05, bloom:0.15, bloomColor:'green', bloomRadius:1300, bloomDecay:58, bloomBlur:9, bloomBrightness:1.1,
-        vignetteOpacity:0.85, vignetteRadius:83, vignetteFeather:36, vignetteColorLight:0.28, vignetteColorDark:0.6, reflectionOpacity:0.02, reflectionSize:1300, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'sharp', flickerOpacity:0.06, flicker:false, colorPaletteShift:120, interlaceSpeed:0.12
-      },
-      'lcd-handheld': { 
-        // 1980s LCD handheld (Game Boy style): no scanlines, high noise, heavy barrel, monochrome green
-        scanOpacity:0.5, scanlineColor:0.4, hairlineOpacity:0.35, fringeOpacity:0.02, fringeDominant:0.5, fringeJitterSpeed:4.5, fringeJitterAmount:4, noiseOpacity:0.48, 
-        barrel:3.6, scanSize:2, scanDensity:1, phosphorSize:0.6, phosphorOpacityRed:0.06, phosphorOpacityGreen:0.16, phosphorOpacityBlue:0.06, bloom:0.06, bloomColor:'green', bloomRadius:1200, bloomDecay:62, bloomBlur:8, bloomBrightness:0.8,
-        vignetteOpacity:0.91, vignetteRadius:81, vignetteFeather:44, vignetteColorLight:0.42, vignetteColorDark:0.78, reflectionOpacity:0.05, reflectionSize:1200, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'soft', flickerOpacity:0.2, flicker:true, colorPaletteShift:140, interlaceSpeed:0.12
-      },
-      'classic-rgb': { 
-        // Classic RGB Monitor (80s-90s): warm phosphor, moderate barrel, color fringing visible
-        scanOpacity:0.79, scanlineColor:0.11, hairlineOpacity:0.19, fringeOpacity:0.28, fringeDominant:0.55, fringeJitterSpeed:3.3, fringeJitterAmount:2, noiseOpacity:0.19, 
-        barrel:1.5, scanSize:3.8, scanDensity:2.3, phosphorSize:1.05, phosphorOpacityRed:0.15, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.15, bloom:0.18, bloomColor:'white', bloomRadius:1380, bloomDecay:55, bloomBlur:10, bloomBrightness:1.2,
-        vignetteOpacity:0.86, vignetteRadius:84, vignetteFeather:38, vignetteColorLight:0.32, vignetteColorDark:0.67, reflectionOpacity:0.03, reflectionSize:1380, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.1, flicker:true, colorPaletteShift:10, interlaceSpeed:0.08
-      },
-      'precision-flatcrt': { 
-        // Precision flat CRT: minimal distortion, clean look, slight phosphor glow
-        scanOpacity:0.68, scanlineColor:0.16, hairlineOpacity:0.22, fringeOpacity:0.13, fringeDominant:0.3, fringeJitterSpeed:2.6, fringeJitterAmount:1.2, noiseOpacity:0.08, 
-        barrel:1.3, scanSize:3, scanDensity:2.6, phosphorSize:0.8, phosphorOpacityRed:0.12, phosphorOpacityGreen:0.13, phosphorOpacityBlue:0.12, bloom:0.28, bloomColor:'white', bloomRadius:1320, bloomDecay:60, bloomBlur:13, bloomBrightness:1.4,
-        vignetteOpacity:0.83, vignetteRadius:79, vignetteFeather:30, vignetteColorLight:0.22, vignetteColorDark:0.5, reflectionOpacity:0.015, reflectionSize:1320, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'sharp', flickerOpacity:0.04, flicker:false, colorPaletteShift:-10, interlaceSpeed:0.12
-      },
-      'retro-studio': { 
-        // Retro studio aesthetic: high barrel, visible scanlines, pleasant bloom, warm white
-        scanOpacity:0.84, scanlineColor:0.04, hairlineOpacity:0.17, fringeOpacity:0.22, fringeDominant:0.52, fringeJitterSpeed:3.2, fringeJitterAmount:2, noiseOpacity:0.24, 
-        barrel:2.4, scanSize:4.2, scanDensity:2, phosphorSize:1.08, phosphorOpacityRed:0.15, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.15, bloom:0.2, bloomColor:'white', bloomRadius:1400, bloomDecay:54, bloomBlur:10, bloomBrightness:1.25,
-        vignetteOpacity:0.89, vignetteRadius:86, vignetteFeather:41, vignetteColorLight:0.35, vignetteColorDark:0.7, reflectionOpacity:0.032, reflectionSize:1400, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.11, flicker:true, colorPaletteShift:5, interlaceSpeed:0.08
-      },
-      
-      // PROFESSIONAL & BROADCAST
-      'broadcast-monitor': { 
-        // Professional broadcast monitor: accurate colors, minimal distortion, high quality
-        scanOpacity:0.7, scanlineColor:0.12, hairlineOpacity:0.2, fringeOpacity:0.08, fringeDominant:0.45, fringeJitterSpeed:2.7, fringeJitterAmount:1, noiseOpacity:0.08, 
-        barrel:1.2, scanSize:3, scanDensity:2.5, phosphorSize:0.85, phosphorOpacityRed:0.14, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.14, bloom:0.26, bloomColor:'white', bloomRadius:1280, bloomDecay:58, bloomBlur:12, bloomBrightness:1.35,
-        vignetteOpacity:0.84, vignetteRadius:81, vignetteFeather:34, vignetteColorLight:0.26, vignetteColorDark:0.58, reflectionOpacity:0.022, reflectionSize:1280, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'sharp', flickerOpacity:0.04, flicker:false, colorPaletteShift:-3, interlaceSpeed:0.12
-      },
-      'rgb-professional': { 
-        // RGB professional video monitor: pristine image quality, aperture grille
-        scanOpacity:0.68, scanlineColor:0.15, hairlineOpacity:0.18, fringeOpacity:0.06, fringeDominant:0.38, fringeJitterSpeed:2.5, fringeJitterAmount:0.8, noiseOpacity:0.05, 
-        barrel:0.9, scanSize:2.8, scanDensity:2.7, phosphorSize:0.75, phosphorOpacityRed:0.13, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.13, bloom:0.3, bloomColor:'white', bloomRadius:1220, bloomDecay:62, bloomBlur:13, bloomBrightness:1.4,
-        vignetteOpacity:0.81, vignetteRadius:78, vignetteFeather:30, vignetteColorLight:0.23, vignetteColorDark:0.52, reflectionOpacity:0.018, reflectionSize:1220, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'aperture-grille', flickerOpacity:0.03, flicker:false, colorPaletteShift:-8, interlaceSpeed:0.12
-      },
-      'phosphor-white': { 
-        // White phosphor monochrome terminal: crisp high-contrast display
-        scanOpacity:0.75, scanlineColor:0.2, hairlineOpacity:0.23, fringeOpacity:0.05, fringeDominant:0.5, fringeJitterSpeed:2.8, fringeJitterAmount:1.2, noiseOpacity:0.14, 
-        barrel:1.8, scanSize:3.8, scanDensity:2.2, phosphorSize:0.9, phosphorOpacityRed:0.16, phosphorOpacityGreen:0.16, phosphorOpacityBlue:0.16, bloom:0.18, bloomColor:'white', bloomRadius:1350, bloomDecay:56, bloomBlur:10, bloomBrightness:1.25,
-        vignetteOpacity:0.87, vignetteRadius:83, vignetteFeather:37, vignetteColorLight:0.31, vignetteColorDark:0.64, reflectionOpacity:0.026, reflectionSize:1350, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'sharp', flickerOpacity:0.07, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08
-      },
-      'composite-color': { 
-        // Composite color with artifacts: color bleeding, visible artifacts
-        scanOpacity:0.9, scanlineColor:0.05, hairlineOpacity:0.16, fringeOpacity:0.42, fringeDominant:0.68, fringeJitterSpeed:3.9, fringeJitterAmount:3.2, noiseOpacity:0.38, 
-        barrel:3.2, scanSize:5.5, scanDensity:1.7, phosphorSize:1.3, phosphorOpacityRed:0.17, phosphorOpacityGreen:0.14, phosphorOpacityBlue:0.16, bloom:0.12, bloomColor:'amber', bloomRadius:1420, bloomDecay:58, bloomBlur:9, bloomBrightness:1.05,
-        vignetteOpacity:0.92, vignetteRadius:87, vignetteFeather:40, vignetteColorLight:0.37, vignetteColorDark:0.74, reflectionOpacity:0.038, reflectionSize:1420, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.14, flicker:true, colorPaletteShift:20, interlaceSpeed:0.08
-      },
-      'plasma-display': { 
-        // Early 2000s plasma display: unique phosphor glow, no scanlines
-        scanOpacity:0.4, scanlineColor:0.5, hairlineOpacity:0.08, fringeOpacity:0.15, fringeDominant:0.48, fringeJitterSpeed:3.5, fringeJitterAmount:1.8, noiseOpacity:0.12, 
-        barrel:0.5, scanSize:2, scanDensity:3, phosphorSize:0.7, phosphorOpacityRed:0.16, phosphorOpacityGreen:0.14, phosphorOpacityBlue:0.15, bloom:0.35, bloomColor:'white', bloomRadius:1600, bloomDecay:45, bloomBlur:16, bloomBrightness:1.6,
-        vignetteOpacity:0.78, vignetteRadius:88, vignetteFeather:38, vignetteColorLight:0.28, vignetteColorDark:0.62, reflectionOpacity:0.05, reflectionSize:1600, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'soft', flickerOpacity:0.06, flicker:false, colorPaletteShift:-15, interlaceSpeed:0.12
-      },
-      'vector-display': { 
-        // Vector monitor (Asteroids/Vectrex): bright phosphor trails, minimal structure
-        scanOpacity:0.3, scanlineColor:0.6, hairlineOpacity:0.05, fringeOpacity:0.05, fringeDominant:0.5, fringeJitterSpeed:2.2, fringeJitterAmount:0.5, noiseOpacity:0.08, 
-        barrel:1.6, scanSize:2, scanDensity:1, phosphorSize:0.5, phosphorOpacityRed:0.08, phosphorOpacityGreen:0.18, phosphorOpacityBlue:0.1, bloom:0.45, bloomColor:'green', bloomRadius:1800, bloomDecay:35, bloomBlur:18, bloomBrightness:1.8,
-        vignetteOpacity:0.88, vignetteRadius:86, vignetteFeather:45, vignetteColorLight:0.38, vignetteColorDark:0.76, reflectionOpacity:0.02, reflectionSize:1800, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'soft', flickerOpacity:0.05, flicker:false, colorPaletteShift:130, interlaceSpeed:0.12
+
+  /**
+   * Register (or replace) a preset. `extends` inherits another preset's values;
+   * `group` and `label` place it in the controls dropdown.
+   */
+  static registerPreset(name, values, { extends: base = null, group, label } = {}) {
+    if (typeof name !== 'string' || !name.trim()) throw new TypeError('crt-overlay: preset name must be a non-empty string');
+    if (!values || typeof values !== 'object') throw new TypeError(`crt-overlay: preset "${name}" values must be an object`);
+    if (base) {
+      if (!presetRegistry.has(base)) throw new Error(`crt-overlay: preset "${name}" extends unknown preset "${base}"`);
+      for (let p = base; p; p = presetRegistry.get(p).extends) {
+        if (p === name) throw new Error(`crt-overlay: preset "${name}" would extend itself`);
       }
-    };
-    return presets[name];
+    }
+    const existing = presetRegistry.get(name);
+    presetRegistry.set(name, {
+      values: { ...values },
+      extends: base,
+      group: group || existing?.group || 'Custom Presets',
+      label: label || existing?.label || presetLabel(name),
+      builtin: false,
+    });
+    notifyPresetsChanged(name, existing ? 'update' : 'register');
+  }
+
+  /** Remove a preset; returns false if it was not registered. Throws while another preset extends it. */
+  static unregisterPreset(name) {
+    if (!presetRegistry.has(name)) return false;
+    const child = [...presetRegistry].find(([, entry]) => entry.extends === name);
+    if (child) throw new Error(`crt-overlay: cannot unregister "${name}", preset "${child[0]}" extends it`);
+    presetRegistry.delete(name);
+    notifyPresetsChanged(name, 'unregister');
+    return true;
+  }
+
+  /** Registered presets in dropdown order: [{ name, label, group, extends, builtin }] */
+  static listPresets() {
+    return [...presetRegistry].map(([name, entry]) => ({ name, label: entry.label, group: entry.group, extends: entry.extends, builtin: entry.builtin }));
+  }
+
+  /** Resolved preset values (inheritance applied), or undefined. */
+  static getPreset(name) {
+    return resolvePreset(name);
+  }
+
+  /**
+   * Weighted mix of registered presets: numbers and colors are averaged by weight,
+   * discrete keys (scanlineMask, flicker, ...) come from the heaviest preset.
+   */
+  static blendPresets(entries) {
+    if (!Array.isArray(entries) || !entries.length) throw new TypeError('crt-overlay: blendPresets expects [[name, weight], ...]');
+    const parts = entries.map(([name, weight]) => {
+      const values = resolvePreset(name);
+      if (!values) throw new Error(`crt-overlay: unknown preset "${name}"`);
+      return { values, weight: Math.max(0, Number(weight) || 0) };
+    }).sort((a, b) => b.weight - a.weight);
+    if (!(parts[0].weight > 0)) throw new Error('crt-overlay: blendPresets needs at least one positive weight');
+
+    const blended = {};
+    new Set(parts.flatMap(part => Object.keys(part.values))).forEach((key) => {
+      const having = parts.filter(part => part.weight > 0 && part.values[key] !== undefined);
+      if (!having.length) return;
+      const total = having.reduce((sum, part) => sum + part.weight, 0);
+      const rule = SETTINGS_SCHEMA[key];
+      const colors = rule && rule.type === 'color' ? having.map(part => parseBloomColor(part.values[key])) : null;
+      if (rule && rule.type === 'number' && having.every(part => typeof part.values[key] === 'number')) {
+        blended[key] = having.reduce((sum, part) => sum + part.values[key] * part.weight, 0) / total;
+      } else if (colors && colors.every(Boolean)) {
+        blended[key] = toHexColor([0, 1, 2].map(i => colors.reduce((sum, rgb, j) => sum + rgb[i] * having[j].weight, 0) / total));
+      } else {
+        blended[key] = having[0].values[key];
+      }
+    });
+    return blended;
+  }
+
+  getPreset(name){
+    return CRTOverlay.getPreset(name);
   }
 
   applyPreset(preset){
-    Object.assign(this.config, preset);
+    const name = typeof preset === 'string' ? preset : null;
+    if (name) {
+      preset = this.getPreset(name);
+      if (!preset) {
+        console.warn(`crt-overlay: unknown preset "${name}"`);
+        return;
+      }
+    }
+    // Every panel control follows its attribute, so writing the values is enough; they make one undo step
+    this.flushHistory();
+    this._historyBatch = true;
+    Object.entries(preset).forEach(([key, value]) => this._setConfigValue(key, value));
+    this._historyBatch = false;
+
+    // Presets applied by name show up in the dropdown
+    if (name) {
+      this.activePreset = name;
+      this.syncPresetSelect();
+    }
+    this.flushHistory();
+
+    this.updateStyles();
+    this.updateBarrel();
+  }
 
-    Object.entries(preset).forEach(([key, value]) => {
-      const attrName = key.replace(/([A-Z])/g,'-$1').toLowerCase();
-      this.setAttribute(attrName, String(value));
+  /**
+   * Animate from the current config to a preset (by name) or a partial config. Numbers and
+   * bloomColor interpolate; scanlineMask, flicker and reflection switch halfway while their layer
+   * fades out and back in. Other discrete keys (mode, scope, ...) apply at the end.
+   * Runs on the animation scheduler; resolves true when done, false when cancelled.
+   */
+  transitionTo(target, { duration = 600, easing = 'ease-in-out' } = {}) {
+    const name = typeof target === 'string' ? target : null;
+    const to = name ? this.getPreset(name) : target;
+    if (!to || typeof to !== 'object') {
+      console.warn(`crt-overlay: unknown preset "${target}"`);
+      return Promise.resolve(false);
+    }
+    this.cancelTransition();
+    this.flushHistory(); // the transition's end state is a step of its own
+    const ease = typeof easing === 'function' ? easing : TRANSITION_EASINGS[easing] || TRANSITION_EASINGS.linear;
+
+    return new Promise((resolve) => {
+      const transition = { from: { ...this.config }, to, target: name || to, progress: 0, eased: 0, resolve };
+      this._transition = transition;
+      // Nothing would be visible (or the clock is stopped): land on the target right away
+      if (!(duration > 0) || this.scheduler.blocked) {
+        this._finishTransition();
+        return;
+      }
+      const start = this.scheduler.time;
+      this.scheduler.add('transition', (time) => {
+        transition.progress = Math.min(1, (time - start) / duration);
+        transition.eased = ease(transition.progress);
+        const previous = { flicker: this.config.flicker, reflection: this.config.reflection };
+        Object.assign(this.config, interpolateConfig(transition.from, to, transition.eased));
+        if (previous.flicker !== this.config.flicker) this.toggleFlicker();
+        if (previous.reflection !== this.config.reflection) this.toggleReflection();
+        this.updateStyles();
+        this.updateBarrel();
+        this.dispatchEvent(new CustomEvent('transition-progress',{detail:{progress:transition.progress},bubbles:true,composed:true}));
+        if (transition.progress >= 1) this._finishTransition();
+      });
     });
+  }
 
-    const root = this.controlsPortal || this.shadowRoot;
-    const formatter = (key, val) => {
-      const oneDec = ['barrel','scanSize','scanDensity','phosphorSize'];
-      return typeof val === 'string' ? val : val.toFixed(oneDec.includes(key) ? 1 : 2);
-    };
+  /** Stop a running transition where it is; returns false if none was running. */
+  cancelTransition() {
+    const transition = this._transition;
+    if (!transition) return false;
+    this._transition = null;
+    this.scheduler.remove('transition');
+    // Settle on the in-between values (without the discrete-key fade dip) and reflect them
+    if (this.isConnected) this.applyPreset(interpolateConfig(transition.from, transition.to, transition.eased, false));
+    this.dispatchEvent(new CustomEvent('transition-cancel',{detail:{progress:transition.progress},bubbles:true,composed:true}));
+    transition.resolve(false);
+    return true;
+  }
 
-    const controls = {
-      scanOpacity: 'ctl-scan',
-      scanlineColor: 'ctl-scanline-color',
-      hairlineOpacity: 'ctl-hairline',
-      fringeOpacity: 'ctl-fringe',
-      fringeDominant: 'ctl-fringe-dominant',
-      fringeJitterSpeed: 'ctl-fringe-jitter-speed',
-      fringeJitterAmount: 'ctl-fringe-jitter-amount',
-      noiseOpacity: 'ctl-noise',
-      barrel: 'ctl-barrel',
-      scanSize: 'ctl-scan-size',
-      scanDensity: 'ctl-scan-density',
-      phosphorSize: 'ctl-phosphor',
-      phosphorOpacityRed: 'ctl-phosphor-red',
-      phosphorOpacityGreen: 'ctl-phosphor-green',
-      phosphorOpacityBlue: 'ctl-phosphor-blue',
-      bloom: 'ctl-bloom',
-      bloomRadius: 'ctl-bloom-radius',
-      bloomDecay: 'ctl-bloom-decay',
-      bloomBlur: 'ctl-bloom-blur',
-      bloomBrightness: 'ctl-bloom-brightness',
-      vignetteOpacity: 'ctl-vignette',
-      vignetteRadius: 'ctl-vignette-radius',
-      vignetteFeather: 'ctl-vignette-feather',
-      vignetteColorLight: 'ctl-vignette-color-light',
-      vignetteColorDark: 'ctl-vignette-color-dark',
-      reflectionSize: 'ctl-reflection-size',
-      reflectionOpacity: 'ctl-reflection-opacity',
-      colorPaletteShift: 'ctl-color-palette-shift',
-      interlaceSpeed: 'ctl-interlace-speed',
-      flickerOpacity: 'ctl-flicker-opacity'
-    };
+  _finishTransition() {
+    const transition = this._transition;
+    this._transition = null;
+    this.scheduler.remove('transition');
+    this.applyPreset(transition.target);
+    this.syncPresetSelect();
+    this.dispatchEvent(new CustomEvent('transition-complete',{detail:{config:{ ...this.config }},bubbles:true,composed:true}));
+    transition.resolve(true);
+  }
+
+  /**
+   * Mix presets by weight, e.g. [['trinitron-fd', 0.7], ['arcade-crt', 0.3]], and apply the result
+   * (animated when a duration is given). See CRTOverlay.blendPresets() for the mixing rules.
+   */
+  blendPresets(entries, { duration = 0, easing } = {}) {
+    return this.transitionTo(CRTOverlay.blendPresets(entries), { duration, easing });
+  }
 
-    Object.entries(controls).forEach(([configKey, className]) => {
-      const input = root.querySelector(`.${className}`);
-      const numberInput = root.querySelector(`.${className}-number`);
-      const valueDisplay = root.querySelector(`.val-${className.replace('ctl-','')}`);
-      if (input && preset[configKey] !== undefined) {
-        input.value = preset[configKey];
+  /**
+   * Play the degauss effect: a decaying rainbow hue wobble through the hue-rotate chain, a barrel
+   * shudder on the feDisplacementMap, and misconvergence (fringe) that settles back.
+   * Calling it again while it runs restarts it. Resolves true on `degauss-end`.
+   */
+  degauss({ duration = DEGAUSS_DURATION } = {}) {
+    if (this._degauss) {
+      this._degauss.start = this.scheduler.time;
+      return this._degauss.promise;
+    }
+    let resolve;
+    const promise = new Promise((r) => { resolve = r; });
+    const degauss = { hue: 0, shudder: 0, start: this.scheduler.time, resolve, promise };
+    this._degauss = degauss;
+    if (!(duration > 0) || this.scheduler.blocked || !this._initialized) {
+      this._endDegauss(true);
+      return promise;
+    }
+    // Safe mode keeps the color swing and shudder small
+    const amount = this.isSafeMode() ? 0.3 : 1;
+    this.scheduler.add('degauss', (time) => {
+      const t = Math.min(1, (time - degauss.start) / duration);
+      const envelope = (1 - t) * (1 - t);
+      degauss.hue = 300 * amount * envelope * Math.sin(2 * Math.PI * 2.5 * t);
+      degauss.shudder = 0.6 * amount * envelope * Math.sin(2 * Math.PI * 9 * t);
+      const container = this.shadowRoot.querySelector('.crt-container');
+      if (container) {
+        container.style.setProperty('--color-palette-shift', `${this.getHueShift()}deg`);
+        container.style.setProperty('--fringe-opacity', Math.min(1, this.config.fringeOpacity + 0.6 * amount * envelope));
+        container.style.setProperty('--fringe-jitter-amount', `${this.config.fringeJitterAmount + 12 * amount * envelope}px`);
       }
-      if (numberInput && preset[configKey] !== undefined) {
-        const decimals = formatter(configKey, preset[configKey]).split('.')[1]?.length || 0;
-        numberInput.value = Number(preset[configKey]).toFixed(decimals);
+      this.updateBarrel();
+      if (t >= 1) this._endDegauss(true);
+    });
+    return promise;
+  }
+
+  _endDegauss(finished) {
+    const degauss = this._degauss;
+    if (!degauss) return;
+    this._degauss = null;
+    this.scheduler.remove('degauss');
+    if (this.shadowRoot.querySelector('.crt-container')) {
+      this.updateStyles(); // restores the palette/fringe vars
+      this.updateBarrel();
+    }
+    if (finished) this.dispatchEvent(new CustomEvent('degauss-end',{bubbles:true,composed:true}));
+    degauss.resolve(finished);
+  }
+
+  /** Expand the picture back from a dot with a brightness overshoot. Resolves false if interrupted. */
+  powerOn(options) {
+    return this._setPower('on', options);
+  }
+
+  /** Collapse the picture to a bright line, then a dot, then black. Resolves false if interrupted. */
+  powerOff(options) {
+    return this._setPower('off', options);
+  }
+
+  _setPower(state, { duration } = {}) {
+    if (this.config.power === state) return this._power ? this._power.promise : Promise.resolve(true);
+    this._reflectingPower = true;
+    this.setAttribute('power', state);
+    this._reflectingPower = false;
+    return this._initialized ? this._animatePower(state, duration) : Promise.resolve(true);
+  }
+
+  _animatePower(state, duration) {
+    const running = this._power;
+    if (running) {
+      this._power = null;
+      this.scheduler.remove('power');
+      running.resolve(false);
+    }
+    // Reduced motion / safe mode: a plain fade, no collapse and no brightness flash
+    const reduced = this.isSafeMode();
+    if (duration === undefined) duration = reduced ? POWER_DURATIONS.reduced : POWER_DURATIONS[state];
+    let resolve;
+    const promise = new Promise((r) => { resolve = r; });
+    const power = { state, progress: running ? 1 - running.progress : 0, reduced, resolve, promise };
+    this._power = power;
+
+    this.scheduler.block('power-off', false);
+    this._createPowerLayer();
+    if (!this._powerTargets) this._powerTargets = this._collectPowerTargets();
+    this.dispatchEvent(new CustomEvent('power-change',{detail:{power:state,phase:'start'},bubbles:true,composed:true}));
+
+    if (!(duration > 0) || this.scheduler.blocked) {
+      this._finishPower();
+      return promise;
+    }
+    const start = this.scheduler.time - power.progress * duration;
+    this.scheduler.add('power', (time) => {
+      power.progress = Math.min(1, (time - start) / duration);
+      this._renderPower(powerFrame(power.progress, state, reduced));
+      if (power.progress >= 1) this._finishPower();
+    });
+    return promise;
+  }
+
+  _finishPower() {
+    const power = this._power;
+    this._power = null;
+    this.scheduler.remove('power');
+    this._restorePowerTargets();
+    if (power.state === 'off') this._showPowerOff(power.reduced);
+    else this._removePowerLayer();
+    this.dispatchEvent(new CustomEvent('power-change',{detail:{power:power.state,phase:'end'},bubbles:true,composed:true}));
+    power.resolve(true);
+  }
+
+  // Fully off: black layer only, and nothing left animating underneath
+  _showPowerOff(reduced = this.isSafeMode()) {
+    this._createPowerLayer();
+    this._renderPower(powerFrame(1, 'off', reduced));
+    this.scheduler.block('power-off', true);
+  }
+
+  _teardownPower() {
+    if (this._power) {
+      const power = this._power;
+      this._power = null;
+      this.scheduler.remove('power');
+      power.resolve(false);
+    }
+    this._restorePowerTargets();
+    this._removePowerLayer();
+    this.scheduler.block('power-off', false);
+  }
+
+  _createPowerLayer() {
+    if (this._powerLayer) return;
+    const layer = document.createElement('div');
+    layer.className = 'crt-power-layer';
+    layer.style.cssText = 'position:fixed;inset:0;pointer-events:none;overflow:hidden;z-index:999999'; // above the page, below the controls panel
+    const beam = document.createElement('div');
+    beam.className = 'crt-power-beam';
+    beam.style.cssText = 'position:absolute;left:50%;top:50%;width:100%;height:100%;transform:translate(-50%,-50%)';
+    layer.appendChild(beam);
+    // Scoped overlays black out only their own box
+    if (this.config.scope === 'self') {
+      layer.style.position = 'absolute';
+      this.shadowRoot.appendChild(layer);
+    } else {
+      document.body.appendChild(layer);
+    }
+    this._powerLayer = layer;
+  }
+
+  _removePowerLayer() {
+    if (!this._powerLayer) return;
+    this._powerLayer.remove();
+    this._powerLayer = null;
+  }
+
+  // The overlay layers plus the barrel-filtered content, scaled about the center of the screen.
+  // Each target keeps the page's own inline transform/origin and the values last written over them.
+  _collectPowerTargets() {
+    const elements = [this.shadowRoot.querySelector('.crt-container')];
+    if (this.config.scope === 'self') {
+      elements.push(this.shadowRoot.querySelector('.crt-content'));
+    } else {
+      const selector = this._filterTargetSelector();
+      if (selector) elements.push(...document.querySelectorAll(`body ${selector}`));
+    }
+    return elements.filter(Boolean).map((el) => {
+      const target = { el, transform: el.style.transform, origin: el.style.transformOrigin, written: null, writtenOrigin: null };
+      if (this.config.scope !== 'self' && el.parentNode !== this.shadowRoot) {
+        const rect = el.getBoundingClientRect();
+        el.style.transformOrigin = `${window.innerWidth / 2 - rect.left}px ${window.innerHeight / 2 - rect.top}px`;
+        target.writtenOrigin = el.style.transformOrigin;
       }
-      if (valueDisplay && preset[configKey] !== undefined) {
-        valueDisplay.textContent = formatter(configKey, preset[configKey]);
+      return target;
+    });
+  }
+
+  // Put back the page's values, unless the page changed them during the animation (then its change stays)
+  _restorePowerTargets() {
+    if (!this._powerTargets) return;
+    this._powerTargets.forEach((target) => {
+      const { el } = target;
+      if (target.written !== null && el.style.transform === target.written) el.style.transform = target.transform;
+      if (target.writtenOrigin !== null && el.style.transformOrigin === target.writtenOrigin) el.style.transformOrigin = target.origin;
+    });
+    this._powerTargets = null;
+  }
+
+  _renderPower(frame) {
+    const beam = this._powerLayer && this._powerLayer.firstElementChild;
+    if (!beam) return;
+    beam.style.width = `${frame.scaleX * 100}%`;
+    beam.style.height = `${frame.scaleY * 100}%`;
+    beam.style.borderRadius = frame.scaleX < 0.05 ? '50%' : '0';
+    beam.style.background = frame.fade > 0 ? `rgba(0,0,0,${frame.fade})` : 'transparent';
+    beam.style.boxShadow = `0 0 ${Math.round(frame.glow * 30)}px ${Math.round(frame.glow * 8)}px rgba(255,255,255,${(frame.glow * 0.85).toFixed(3)}), 0 0 0 200vmax #000`;
+    beam.style.backdropFilter = frame.brightness !== 1 ? `brightness(${frame.brightness.toFixed(3)})` : 'none';
+    beam.style.webkitBackdropFilter = beam.style.backdropFilter;
+    const squash = frame.scaleX === 1 && frame.scaleY === 1 ? '' : `scale(${frame.scaleX}, ${frame.scaleY})`;
+    (this._powerTargets || []).forEach((target) => {
+      const { el } = target;
+      // A transform the page set since the last frame becomes the base the squash is added to
+      if (target.written !== null && el.style.transform !== target.written) target.transform = el.style.transform;
+      el.style.transform = squash ? `${target.transform} ${squash}`.trim() : target.transform;
+      target.written = el.style.transform;
+    });
+  }
+
+  /**
+   * A/B comparison (`compare`): the overlay layers, the bloom layer and the page filter are clipped to
+   * the left (top) side of the divider. Past it the page shows raw, or `compare-preset` through a
+   * companion overlay that runs the same code clipped to the other side.
+   */
+  updateCompare() {
+    const owner = this._compareOf || this;
+    const { compare, comparePosition } = owner.config;
+    const on = compare !== 'off';
+    const horizontal = compare === 'split-horizontal';
+    const far = Boolean(this._compareOf); // the companion covers the right (bottom) side
+    let clip = '';
+    if (on && horizontal) {
+      clip = far ? `inset(${comparePosition}% 0 0 0)` : `inset(0 0 ${100 - comparePosition}% 0)`;
+    } else if (on) {
+      clip = far ? `inset(0 0 0 ${comparePosition}%)` : `inset(0 ${100 - comparePosition}% 0 0)`;
+    }
+    const container = this.shadowRoot.querySelector('.crt-container');
+    if (container) container.style.clipPath = clip;
+    if (this.externalBloomLayer) this.externalBloomLayer.style.clipPath = clip;
+
+    let region = null;
+    if (on) {
+      const [start, end] = far ? [comparePosition / 100, 1] : [0, comparePosition / 100];
+      region = horizontal ? { x: 0, y: start, width: 1, height: end - start } : { x: start, y: 0, width: end - start, height: 1 };
+    }
+    this._setCompareFilter(region);
+    if (far) return;
+    this._syncCompareTwin();
+    this._syncCompareDivider();
+  }
+
+  // Last filter stage while comparing: the filtered picture inside `region` (fractions of the target
+  // box) over the untouched source outside it
+  _setCompareFilter(region) {
+    const root = this._filterRoot();
+    const filter = root.getElementById(`crt-barrel-${this._uid}`);
+    if (!filter) return;
+    if (!region) {
+      if (!this._compareStage) return;
+      this._compareStage.nodes.forEach(node => node.remove());
+      this._compareStage = null;
+      this.updateBarrel();
+      return;
+    }
+    const added = !this._compareStage;
+    if (added) {
+      // The hue shift moves here from the CSS filter chain so that it is clipped too
+      const hue = createFilterPrimitive('feColorMatrix', { type: 'hueRotate', values: '0', result: 'compareFiltered' });
+      const mask = createFilterPrimitive('feFlood', { 'flood-color': '#fff', 'flood-opacity': '1', result: 'compareMask' });
+      const inside = createFilterPrimitive('feComposite', { in: 'compareFiltered', in2: 'compareMask', operator: 'in', result: 'compareInside' });
+      const outside = createFilterPrimitive('feComposite', { in: 'SourceGraphic', in2: 'compareMask', operator: 'out', result: 'compareOutside' });
+      const merge = createFilterPrimitive('feMerge', {});
+      merge.appendChild(createFilterPrimitive('feMergeNode', { in: 'compareOutside' }));
+      merge.appendChild(createFilterPrimitive('feMergeNode', { in: 'compareInside' }));
+      this._compareStage = { hue, mask, nodes: [hue, mask, inside, outside, merge] };
+      this._compareStage.nodes.forEach(node => filter.appendChild(node));
+    }
+    Object.entries(region).forEach(([attr, value]) => this._compareStage.mask.setAttribute(attr, String(value)));
+    if (added) this.updateBarrel();
+  }
+
+  // Create, update or drop the companion overlay that shows `compare-preset` (page scope only)
+  _syncCompareTwin() {
+    const name = this.config.compare === 'off' ? null : this.config.comparePreset;
+    let twin = this._compareTwin;
+    if (twin && twin._comparePreset !== name) {
+      twin.remove();
+      twin = this._compareTwin = null;
+      this.applyGlobalFilters();
+    }
+    if (name !== this._compareSkipped) this._compareSkipped = null;
+    if (!name || this._compareSkipped || !this.isConnected) return;
+
+    if (!twin) {
+      const preset = this.config.scope === 'page' ? this.getPreset(name) : null;
+      if (!preset) {
+        console.warn(this.config.scope === 'page'
+          ? `crt-overlay: unknown compare-preset "${name}", comparing with the raw page`
+          : 'crt-overlay: compare-preset needs scope="page", comparing with the raw content');
+        this._compareSkipped = name; // warn once per value
+        return;
       }
+      twin = document.createElement('crt-overlay');
+      twin._compareOf = this;
+      twin._comparePreset = name;
+      twin.setAttribute('aria-hidden', 'true');
+      Object.entries(preset).forEach(([key, value]) => twin._setConfigValue(key, value));
+      twin._setConfigValue('scope', 'page');
+      twin._setConfigValue('mode', this.config.mode);
+      twin._setConfigValue('safeMode', this.config.safeMode);
+      this._compareTwin = twin;
+      this.parentNode.insertBefore(twin, this.nextSibling);
+      this.applyGlobalFilters();
+      return;
+    }
+    twin._setConfigValue('mode', this.config.mode);
+    twin._setConfigValue('safeMode', this.config.safeMode);
+    twin.updateCompare();
+  }
+
+  // The divider line, dragged (or following the pointer in 'wipe') to move the split
+  _syncCompareDivider() {
+    const { compare, comparePosition } = this.config;
+    if (compare === 'off' || this.config.mode === 0 || !this.isConnected) {
+      this._removeCompareDivider();
+      return;
+    }
+    const divider = this._compareDivider || this._createCompareDivider();
+    const horizontal = compare === 'split-horizontal';
+    const wipe = compare === 'wipe';
+    const line = `linear-gradient(${horizontal ? 'to bottom' : 'to right'},transparent 7px,rgba(255,255,255,0.85) 7px,rgba(255,255,255,0.85) 9px,transparent 9px)`;
+    Object.assign(divider.style, horizontal
+      ? { left: '0', top: `calc(${comparePosition}% - 8px)`, width: '100%', height: '16px', cursor: 'ns-resize' }
+      : { left: `calc(${comparePosition}% - 8px)`, top: '0', width: '16px', height: '100%', cursor: 'ew-resize' });
+    divider.style.background = line;
+    divider.style.pointerEvents = wipe ? 'none' : 'auto';
+    divider.setAttribute('aria-orientation', horizontal ? 'horizontal' : 'vertical');
+    divider.setAttribute('aria-valuenow', String(Math.round(comparePosition)));
+
+    if (wipe && !this._onCompareWipe) {
+      this._onCompareWipe = (e) => this._moveCompareDivider(e);
+      this._compareWipeTarget = this.config.scope === 'self' ? this : window;
+      this._compareWipeTarget.addEventListener('pointermove', this._onCompareWipe);
+    } else if (!wipe) {
+      this._stopCompareWipe();
+    }
+  }
+
+  _createCompareDivider() {
+    const divider = document.createElement('div');
+    divider.className = 'crt-compare-divider';
+    divider.tabIndex = 0;
+    divider.setAttribute('role', 'separator');
+    divider.setAttribute('aria-label', 'Comparison divider');
+    divider.setAttribute('aria-valuemin', '0');
+    divider.setAttribute('aria-valuemax', '100');
+    divider.style.cssText = 'position:fixed;z-index:999999;touch-action:none;outline-offset:-3px'; // above the page, below the controls panel
+    divider.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      divider.setPointerCapture(e.pointerId);
+      this._moveCompareDivider(e);
+    });
+    divider.addEventListener('pointermove', (e) => {
+      if (divider.hasPointerCapture(e.pointerId)) this._moveCompareDivider(e);
+    });
+    divider.addEventListener('keydown', (e) => {
+      const step = e.shiftKey ? 10 : 1;
+      const moves = { ArrowLeft: -step, ArrowUp: -step, ArrowRight: step, ArrowDown: step, Home: -100, End: 100 };
+      if (!(e.key in moves)) return;
+      e.preventDefault();
+      this._setConfigValue('comparePosition', Math.min(100, Math.max(0, this.config.comparePosition + moves[e.key])));
     });
+    // Scoped overlays split only their own box
+    if (this.config.scope === 'self') {
+      divider.style.position = 'absolute';
+      this.shadowRoot.appendChild(divider);
+    } else {
+      document.body.appendChild(divider);
+    }
+    this._compareDivider = divider;
+    return divider;
+  }
+
+  // Put the split under the pointer, in % of the viewport (of the element when scoped)
+  _moveCompareDivider(e) {
+    const box = this.config.scope === 'self'
+      ? this.getBoundingClientRect()
+      : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    const fraction = this.config.compare === 'split-horizontal'
+      ? (e.clientY - box.top) / Math.max(1, box.height)
+      : (e.clientX - box.left) / Math.max(1, box.width);
+    this._setConfigValue('comparePosition', Math.round(Math.min(1, Math.max(0, fraction)) * 1000) / 10);
+  }
+
+  _stopCompareWipe() {
+    if (!this._onCompareWipe) return;
+    this._compareWipeTarget.removeEventListener('pointermove', this._onCompareWipe);
+    this._onCompareWipe = null;
+    this._compareWipeTarget = null;
+  }
+
+  _removeCompareDivider() {
+    this._stopCompareWipe();
+    if (!this._compareDivider) return;
+    this._compareDivider.remove();
+    this._compareDivider = null;
+  }
 
-    // Update bloom color selector
-    const bloomColorSelect = root.querySelector('.ctl-bloom-color');
-    if (bloomColorSelect && preset.bloomColor) {
-      bloomColorSelect.value = preset.bloomColor;
+  /**
+   * Resolve the `source` selector and start processing its frames. The source stays in layout
+   * (invisible, still receiving pointer events) and a canvas drawn over it shows the processed image.
+   * Returns false and keeps the CSS layers when the selector does not match a <canvas> or <video>.
+   */
+  attachSource() {
+    this.detachSource();
+    if (!this.config.source) return false;
+
+    let element = null;
+    try {
+      element = document.querySelector(this.config.source);
+    } catch (e) {
+      element = null;
+    }
+    if (!(element instanceof HTMLCanvasElement || element instanceof HTMLVideoElement)) {
+      if (document.readyState === 'loading') {
+        // The source may be declared after the overlay; try again once the document is parsed
+        this._sourceRetry = () => { this._sourceRetry = null; this.attachSource(); };
+        document.addEventListener('DOMContentLoaded', this._sourceRetry, { once: true });
+      } else {
+        console.warn(`crt-overlay: source "${this.config.source}" is not a <canvas> or <video>, using CSS layers`);
+      }
+      return false;
     }
 
-    // Update scanline mask selector
-    const scanlineMaskSelect = root.querySelector('.ctl-scanline-mask');
-    if (scanlineMaskSelect && preset.scanlineMask) {
-      scanlineMaskSelect.value = preset.scanlineMask;
+    let output = this._createSourceOutput(element);
+    let renderer;
+    try {
+      renderer = new CRTWebGLRenderer(output);
+    } catch (e) {
+      // A canvas that already holds a WebGL context cannot hand out a 2D one
+      output.remove();
+      output = this._createSourceOutput(element);
+      renderer = new CRTCanvasRenderer(output);
     }
 
-    // Update reflection checkbox
-    const reflectionCheckbox = root.querySelector('.ctl-reflection');
-    if (reflectionCheckbox && preset.reflection !== undefined) {
-      reflectionCheckbox.checked = preset.reflection;
+    this._source = { element, output, renderer, opacity: element.style.opacity };
+    element.style.opacity = '0';
+    this._watchSourceContext();
+    this.updateModeZIndex();
+    this.applyGlobalFilters();
+    this.dispatchEvent(new CustomEvent('source-change',{detail:{source:element,renderer:renderer.kind},bubbles:true,composed:true}));
+    this.renderSourceFrame();
+    this.scheduler.add('source', () => this.renderSourceFrame());
+    if (this._intersectionObserver) this.observeVisibility();
+    return true;
+  }
+
+  detachSource() {
+    if (this._sourceRetry) {
+      document.removeEventListener('DOMContentLoaded', this._sourceRetry);
+      this._sourceRetry = null;
     }
+    this.scheduler.remove('source');
+    const state = this._source;
+    if (!state) return;
+    state.renderer.destroy();
+    state.output.remove();
+    state.element.style.opacity = state.opacity;
+    this._source = null;
+    if (this._intersectionObserver) this.observeVisibility();
+    this.updateModeZIndex();
+    this.applyGlobalFilters();
+    this.dispatchEvent(new CustomEvent('source-change',{detail:{source:null,renderer:null},bubbles:true,composed:true}));
+  }
+
+  _createSourceOutput(element) {
+    const output = document.createElement('canvas');
+    output.className = 'crt-source-output';
+    output.setAttribute('aria-hidden', 'true');
+    output.style.position = 'absolute';
+    output.style.margin = '0';
+    output.style.pointerEvents = 'none';
+    element.insertAdjacentElement('afterend', output);
+    return output;
+  }
 
-    // Update flicker checkbox
-    const flickerCheckbox = root.querySelector('.ctl-flicker');
-    if (flickerCheckbox && preset.flicker !== undefined) {
-      flickerCheckbox.checked = preset.flicker;
+  _watchSourceContext() {
+    const state = this._source;
+    if (state.renderer.kind !== 'webgl') return;
+    state.output.addEventListener('webglcontextlost', (e) => {
+      e.preventDefault();
+      if (this._source === state) this._useCanvasRenderer();
+    }, { once: true });
+  }
+
+  /** Swap the active source pipeline over to the Canvas 2D renderer (context loss, tainted sources). */
+  _useCanvasRenderer() {
+    const state = this._source;
+    if (!state || state.renderer.kind === '2d') return;
+    state.renderer.destroy();
+    const output = this._createSourceOutput(state.element);
+    state.output.remove();
+    state.output = output;
+    state.renderer = new CRTCanvasRenderer(output);
+    this.dispatchEvent(new CustomEvent('source-change',{detail:{source:state.element,renderer:'2d'},bubbles:true,composed:true}));
+  }
+
+  renderSourceFrame() {
+    const state = this._source;
+    if (!state) return;
+    const { element } = state;
+    const ready = element instanceof HTMLVideoElement ? element.readyState >= 2 && element.videoWidth > 0 : element.width > 0 && element.height > 0;
+
+    if (ready && element.offsetWidth > 0 && element.offsetHeight > 0) {
+      // Follow the source box: both share the same offsetParent as siblings
+      const output = state.output;
+      output.style.left = `${element.offsetLeft}px`;
+      output.style.top = `${element.offsetTop}px`;
+      output.style.width = `${element.offsetWidth}px`;
+      output.style.height = `${element.offsetHeight}px`;
+      const dpr = window.devicePixelRatio || 1;
+      const width = Math.min(4096, Math.round(element.offsetWidth * dpr));
+      const height = Math.min(4096, Math.round(element.offsetHeight * dpr));
+      if (output.width !== width) output.width = width;
+      if (output.height !== height) output.height = height;
+
+      try {
+        state.renderer.render(element, this.getSourceParams(dpr, element.offsetHeight));
+      } catch (err) {
+        // WebGL refuses cross-origin frames; Canvas 2D can still draw them
+        if (state.renderer.kind === 'webgl') {
+          this._useCanvasRenderer();
+        } else {
+          console.warn('crt-overlay: source rendering failed, using CSS layers', err);
+          this.config.source = null;
+          this.detachSource();
+        }
+      }
     }
+  }
 
-    this.updateStyles();
-    this.updateBarrel();
+  /** Map the overlay config onto the source pipeline's shader/pattern parameters (device pixels); `height` is the source's CSS height. */
+  getSourceParams(dpr = window.devicePixelRatio || 1, height) {
+    const c = this.config;
+    const enabled = c.mode > 0;
+    return {
+      curvature: enabled ? this.getBarrelCurvature() : { x: 0, y: 0 },
+      scanPitch: Math.max(1, this.getScanSize(height) * dpr),
+      scanStrength: Math.min(1, c.scanOpacity * (1 - c.scanlineColor)),
+      maskPitch: Math.max(1, c.phosphorSize * dpr),
+      maskStrength: [c.phosphorOpacityRed, c.phosphorOpacityGreen, c.phosphorOpacityBlue].map((v) => Math.min(1, v * 2.5)),
+      maskType: Math.max(0, MASK_TYPES.indexOf(c.scanlineMask)),
+      bloom: c.bloom * c.bloomBrightness * 2.5,
+      bloomRadius: c.bloomBlur * dpr,
+      bloomTint: parseBloomColor(c.bloomColor) || BLOOM_TINTS.white,
+      vignette: c.vignetteOpacity * c.vignetteColorDark,
+      vignetteRadius: c.vignetteRadius / 100,
+      mix: enabled ? c.opacity : 0,
+    };
   }
 
   get _uid() { 
@@ -1244,13 +2226,1494 @@ class CRTOverlay extends HTMLElement {
   }
   
   updateConfig(cfg) { 
-    Object.entries(cfg).forEach(([k, v]) => { 
-      const attr = k.replace(/([A-Z])/g, '-$1').toLowerCase(); 
-      this.setAttribute(attr, v); 
-    }); 
+    Object.entries(cfg).forEach(([k, v]) => this._setConfigValue(k, v));
+  }
+
+  // Write one config value through its attribute so every side effect runs (booleans map to presence)
+  _setConfigValue(key, value) {
+    const param = PARAMETERS_BY_KEY.get(key);
+    if (!param) {
+      console.warn(`crt-overlay: unknown setting "${key}"`);
+      return;
+    }
+    const attr = param.attribute;
+    const next = typeof value === 'boolean' ? (value ? '' : null) : (value === null || value === undefined ? null : String(value));
+    if (this.getAttribute(attr) === next) {
+      // Attribute already reads this way but config differs (flicker defaults on without the attribute)
+      if (this.config[key] !== value) this.attributeChangedCallback(attr, undefined, next);
+    } else if (next === null) {
+      this.removeAttribute(attr);
+    } else {
+      this.setAttribute(attr, next);
+    }
+  }
+
+  /** Versioned, JSON-serializable snapshot of the look (layout and runtime keys such as scope, source, power and safeMode excluded). */
+  exportSettings() {
+    const config = Object.fromEntries(Object.keys(SETTINGS_SCHEMA).map(key => [key, this.config[key]]));
+    return { format: SETTINGS_FORMAT, version: SETTINGS_VERSION, config };
+  }
+
+  /**
+   * Apply a document from exportSettings() (object or JSON string). Every value is checked
+   * against SETTINGS_SCHEMA first; any error rejects the whole import.
+   * Returns { ok, errors: [messages], applied: [keys] }.
+   */
+  importSettings(json) {
+    const { doc, errors } = parseSettings(json);
+    if (errors.length) return { ok: false, errors, applied: [] };
+
+    this.applyPreset(doc.config);
+    this.activePreset = null;
+    this.syncPresetSelect();
+    this.dispatchEvent(new CustomEvent('settings-import',{detail:{config:{ ...doc.config }},bubbles:true,composed:true}));
+    return { ok: true, errors: [], applied: Object.keys(doc.config) };
+  }
+
+  // Download exportSettings() as a .json file
+  downloadSettings(filename = 'crt-overlay-settings.json') {
+    const blob = new Blob([JSON.stringify(this.exportSettings(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Name of the active preset while the config still matches it, else null
+  _matchingPreset() {
+    const preset = this.activePreset && this.getPreset(this.activePreset);
+    return preset && Object.entries(preset).every(([key, value]) => this.config[key] === value) ? this.activePreset : null;
+  }
+
+  syncPresetSelect() {
+    this._refreshPanels('preset');
+  }
+
+  /**
+   * Undo/redo state: `undo` and `redo` list the steps as { keys, preset } (keys changed, preset active
+   * afterwards), and the last entry of each is the one undo()/redo() applies next.
+   */
+  get history() {
+    const { past, future, keys } = this._history;
+    const describe = step => ({ keys: [...step.keys], preset: step.after.preset });
+    return {
+      canUndo: past.length > 0 || keys.size > 0,
+      canRedo: future.length > 0 && keys.size === 0,
+      undo: past.map(describe),
+      redo: future.map(describe),
+    };
+  }
+
+  /** Go back one step (a slider drag, a preset, an import...); returns false when there is nothing to undo. */
+  undo() {
+    this.cancelTransition();
+    this.flushHistory();
+    const step = this._history.past.pop();
+    if (!step) return false;
+    this._history.future.push(step);
+    this._restoreHistory(step.before);
+    return true;
+  }
+
+  /** Re-apply the last undone step; returns false when there is nothing to redo. */
+  redo() {
+    this.cancelTransition();
+    this.flushHistory();
+    const step = this._history.future.pop();
+    if (!step) return false;
+    this._history.past.push(step);
+    this._restoreHistory(step.after);
+    return true;
+  }
+
+  _historySnapshot() {
+    return { config: this.exportSettings().config, preset: this.activePreset };
+  }
+
+  _restoreHistory(snapshot) {
+    this._applyingHistory = true;
+    try {
+      this.applyPreset(snapshot.config);
+    } finally {
+      this._applyingHistory = false;
+    }
+    this._history.current = snapshot;
+    this.activePreset = snapshot.preset;
+    this.syncPresetSelect();
+    this._historyChanged();
+  }
+
+  // Note a changed key; changes closer together than HISTORY_DELAY (a slider drag) become one step
+  _recordHistory(key) {
+    const history = this._history;
+    if (!history.current || this._applyingHistory) return;
+    const opened = history.keys.size === 0;
+    history.keys.add(key);
+    if (this._historyBatch) return;
+    clearTimeout(history.timer);
+    history.timer = setTimeout(() => this.flushHistory(), HISTORY_DELAY);
+    // A pending step can already be undone
+    if (opened) this._refreshPanels('history');
   }
+
+  /** Close the pending history step now instead of after the changes pause. */
+  flushHistory() {
+    const history = this._history;
+    clearTimeout(history.timer);
+    history.timer = null;
+    if (!history.current || !history.keys.size) return;
+    const next = this._historySnapshot();
+    const keys = [...history.keys].filter(key => JSON.stringify(next.config[key]) !== JSON.stringify(history.current.config[key]));
+    history.keys.clear();
+    if (keys.length) {
+      history.past.push({ before: history.current, after: next, keys });
+      if (history.past.length > HISTORY_LIMIT) history.past.shift();
+      history.future = [];
+    }
+    history.current = next;
+    this._historyChanged();
+  }
+
+  _historyChanged() {
+    this._refreshPanels('history');
+    this.dispatchEvent(new CustomEvent('history-change',{detail:this.history,bubbles:true,composed:true}));
+  }
+
+  _storageKey() {
+    return this.config.persistKey ? `${PERSIST_PREFIX}${this.config.persistKey}` : null;
+  }
+
+  /**
+   * Load the look saved under persist-key over the current values (saved values win over attributes);
+   * returns false when there is none or it is invalid. Layout and runtime keys always come from the markup.
+   */
+  restoreSettings() {
+    const key = this._storageKey();
+    if (!key) return false;
+    let stored = null;
+    try {
+      stored = localStorage.getItem(key);
+    } catch (err) {
+      console.warn('crt-overlay: could not read saved settings', err);
+    }
+    if (!stored) return false;
+    const { doc, errors } = parseSettings(withoutRuntimeKeys(stored));
+    if (errors.length) {
+      console.warn(`crt-overlay: ignoring saved settings "${this.config.persistKey}":\n${errors.join('\n')}`);
+      return false;
+    }
+    if (this._initialized) {
+      this.applyPreset(doc.config);
+    } else {
+      // Before first render: attributes only, render() picks the values up
+      Object.entries(doc.config).forEach(([k, v]) => this._setConfigValue(k, v));
+    }
+    this.activePreset = presetRegistry.has(doc.preset) ? doc.preset : null;
+    this.syncPresetSelect();
+    return true;
+  }
+
+  // Debounced save after any change
+  schedulePersist() {
+    if (!this.config.persistKey) return;
+    clearTimeout(this._persistTimer);
+    this._persistTimer = setTimeout(() => this.flushPersist(), PERSIST_DELAY);
+  }
+
+  flushPersist() {
+    if (!this._persistTimer) return;
+    clearTimeout(this._persistTimer);
+    this._persistTimer = null;
+    const key = this._storageKey();
+    if (!key) return;
+    const doc = { ...this.exportSettings(), preset: this._matchingPreset() };
+    try {
+      localStorage.setItem(key, JSON.stringify(doc));
+    } catch (err) {
+      console.warn('crt-overlay: could not save settings', err);
+    }
+  }
+
+  /** Forget the saved state and return to the attribute defaults the page was loaded with. */
+  resetSettings() {
+    if (this._defaults) this.applyPreset(this._defaults);
+    clearTimeout(this._persistTimer);
+    this._persistTimer = null;
+    const key = this._storageKey();
+    if (key) {
+      try {
+        localStorage.removeItem(key);
+      } catch (err) {
+        console.warn('crt-overlay: could not clear saved settings', err);
+      }
+    }
+    this.activePreset = null;
+    this.syncPresetSelect();
+    this.dispatchEvent(new CustomEvent('settings-reset',{detail:{config:this.exportSettings().config},bubbles:true,composed:true}));
+  }
+}
+
+/**
+ * Built-in presets. Registered below, in dropdown order, through the same registry as user presets.
+ */
+const BUILTIN_PRESETS = {
+  // CLASSIC DESKTOP CRTs
+  'default': {
+    scanOpacity:0.85, scanlineColor:0, hairlineOpacity:0.18, fringeOpacity:0.25, fringeDominant:0.5, fringeJitterSpeed:3.2, fringeJitterAmount:2, noiseOpacity:0.22,
+    barrel:2, scanSize:4, scanDensity:2, phosphorSize:1, phosphorOpacityRed:0.15, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.15, bloom:0.15, bloomColor:'white', bloomRadius:1400, bloomDecay:55, bloomBlur:10, bloomBrightness:1.2,
+    vignetteOpacity:0.5, vignetteRadius:85, vignetteFeather:40, vignetteColorLight:0.35, vignetteColorDark:0.7, reflectionOpacity:0.03, reflectionSize:1400, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.08, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'trinitron-fd': {
+    // Trinitron FD series: crisp, low scanline visibility, minimal aberration, aperture grille
+    scanOpacity:0.72, scanlineColor:0.08, hairlineOpacity:0.16, fringeOpacity:0.12, fringeDominant:0.4, fringeJitterSpeed:2.8, fringeJitterAmount:1.5, noiseOpacity:0.1,
+    barrel:1.8, scanSize:3.5, scanDensity:2.2, phosphorSize:0.9, phosphorOpacityRed:0.14, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.13, bloom:0.24, bloomColor:'white', bloomRadius:1350, bloomDecay:50, bloomBlur:9, bloomBrightness:1.3,
+    vignetteOpacity:0.88, vignetteRadius:82, vignetteFeather:35, vignetteColorLight:0.3, vignetteColorDark:0.65, reflectionOpacity:0.025, reflectionSize:1350, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'aperture-grille', flickerOpacity:0.05, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'professional-monitor': {
+    // Professional business monitor: high contrast, visible scanlines, heavy noise
+    scanOpacity:0.92, scanlineColor:0.02, hairlineOpacity:0.14, fringeOpacity:0.18, fringeDominant:0.6, fringeJitterSpeed:3.5, fringeJitterAmount:2.5, noiseOpacity:0.32,
+    barrel:2.6, scanSize:4.5, scanDensity:1.8, phosphorSize:1.1, phosphorOpacityRed:0.16, phosphorOpacityGreen:0.14, phosphorOpacityBlue:0.15, bloom:0.09, bloomColor:'white', bloomRadius:1300, bloomDecay:60, bloomBlur:8, bloomBrightness:1,
+    vignetteOpacity:0.94, vignetteRadius:88, vignetteFeather:38, vignetteColorLight:0.4, vignetteColorDark:0.75, reflectionOpacity:0.035, reflectionSize:1300, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.12, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'monitor-1084s': {
+    // 1084S home computer monitor: warm, visible scanlines, high barrel, vibrant
+    scanOpacity:0.88, scanlineColor:0.06, hairlineOpacity:0.21, fringeOpacity:0.32, fringeDominant:0.65, fringeJitterSpeed:3.8, fringeJitterAmount:3, noiseOpacity:0.35,
+    barrel:3.4, scanSize:6, scanDensity:1.6, phosphorSize:1.4, phosphorOpacityRed:0.18, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.12, bloom:0.2, bloomColor:'amber', bloomRadius:1450, bloomDecay:52, bloomBlur:12, bloomBrightness:1.4,
+    vignetteOpacity:0.87, vignetteRadius:84, vignetteFeather:42, vignetteColorLight:0.32, vignetteColorDark:0.68, reflectionOpacity:0.04, reflectionSize:1450, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.13, flicker:true, colorPaletteShift:15, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:1, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'studio-display-crt': {
+    // Studio Display CRT: flat, minimal effects, clean professional look
+    scanOpacity:0.65, scanlineColor:0.18, hairlineOpacity:0.25, fringeOpacity:0.1, fringeDominant:0.35, fringeJitterSpeed:2.5, fringeJitterAmount:1, noiseOpacity:0.06,
+    barrel:1.1, scanSize:2.8, scanDensity:2.8, phosphorSize:0.65, phosphorOpacityRed:0.13, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.14, bloom:0.32, bloomColor:'white', bloomRadius:1250, bloomDecay:65, bloomBlur:14, bloomBrightness:1.5,
+    vignetteOpacity:0.82, vignetteRadius:80, vignetteFeather:32, vignetteColorLight:0.25, vignetteColorDark:0.55, reflectionOpacity:0.02, reflectionSize:1250, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'sharp', flickerOpacity:0.03, flicker:false, colorPaletteShift:-5, interlaceSpeed:0.12,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'arcade-crt': {
+    // Arcade Monitor: high contrast, heavy barrel, visible grain, vibrant bloom
+    scanOpacity:0.95, scanlineColor:0, hairlineOpacity:0.13, fringeOpacity:0.38, fringeDominant:0.7, fringeJitterSpeed:4.2, fringeJitterAmount:3.5, noiseOpacity:0.42,
+    barrel:4.8, scanSize:7.5, scanDensity:1.3, phosphorSize:1.8, phosphorOpacityRed:0.16, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.14, bloom:0.32, bloomColor:'white', bloomRadius:1500, bloomDecay:48, bloomBlur:11, bloomBrightness:1.1,
+    vignetteOpacity:0.93, vignetteRadius:87, vignetteFeather:40, vignetteColorLight:0.38, vignetteColorDark:0.72, reflectionOpacity:0.045, reflectionSize:1500, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'soft', flickerOpacity:0.16, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:1.5, phosphor:'color', palette:'none', paletteDither:0, lines:'240', linesPixelate:false
+  },
+
+  // PHOSPHOR COLOR VARIANTS
+  'amber-phosphor': {
+    // Monochrome amber terminal: vintage computing aesthetic
+    scanOpacity:0.78, scanlineColor:0.22, hairlineOpacity:0.2, fringeOpacity:0.08, fringeDominant:0.5, fringeJitterSpeed:3, fringeJitterAmount:1.5, noiseOpacity:0.18,
+    barrel:2.1, scanSize:4, scanDensity:2, phosphorSize:0.95, phosphorOpacityRed:0.18, phosphorOpacityGreen:0.12, phosphorOpacityBlue:0.08, bloom:0.22, bloomColor:'amber', bloomRadius:1400, bloomDecay:54, bloomBlur:11, bloomBrightness:1.3,
+    vignetteOpacity:0.86, vignetteRadius:84, vignetteFeather:39, vignetteColorLight:0.33, vignetteColorDark:0.66, reflectionOpacity:0.028, reflectionSize:1400, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.09, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'amber', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'green-phosphor': {
+    // Monochrome green terminal: hacker aesthetic, VT220 style
+    scanOpacity:0.8, scanlineColor:0.18, hairlineOpacity:0.22, fringeOpacity:0.08, fringeDominant:0.5, fringeJitterSpeed:3, fringeJitterAmount:1.5, noiseOpacity:0.2,
+    barrel:2.2, scanSize:4, scanDensity:2, phosphorSize:0.95, phosphorOpacityRed:0.08, phosphorOpacityGreen:0.18, phosphorOpacityBlue:0.08, bloom:0.2, bloomColor:'green', bloomRadius:1380, bloomDecay:56, bloomBlur:10, bloomBrightness:1.2,
+    vignetteOpacity:0.88, vignetteRadius:85, vignetteFeather:40, vignetteColorLight:0.34, vignetteColorDark:0.69, reflectionOpacity:0.03, reflectionSize:1380, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.08, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'green', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'blue-phosphor': {
+    // Rare blue phosphor: uncommon but distinctive
+    scanOpacity:0.76, scanlineColor:0.12, hairlineOpacity:0.19, fringeOpacity:0.1, fringeDominant:0.45, fringeJitterSpeed:2.8, fringeJitterAmount:1.5, noiseOpacity:0.16,
+    barrel:1.9, scanSize:4, scanDensity:2.1, phosphorSize:0.9, phosphorOpacityRed:0.08, phosphorOpacityGreen:0.08, phosphorOpacityBlue:0.18, bloom:0.24, bloomColor:'blue', bloomRadius:1420, bloomDecay:53, bloomBlur:11, bloomBrightness:1.35,
+    vignetteOpacity:0.89, vignetteRadius:86, vignetteFeather:41, vignetteColorLight:0.36, vignetteColorDark:0.71, reflectionOpacity:0.032, reflectionSize:1420, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.07, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'blue', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+
+  // SPECIALIZED MONITORS
+  'vt220-terminal': {
+    // DEC VT220 green-screen terminal: minimal distortion, functional aesthetic
+    scanOpacity:0.82, scanlineColor:0.15, hairlineOpacity:0.24, fringeOpacity:0.05, fringeDominant:0.5, fringeJitterSpeed:2.5, fringeJitterAmount:1, noiseOpacity:0.12,
+    barrel:0.8, scanSize:3.2, scanDensity:2.5, phosphorSize:0.8, phosphorOpacityRed:0.05, phosphorOpacityGreen:0.18, phosphorOpacityBlue:0.05, bloom:0.15, bloomColor:'green', bloomRadius:1300, bloomDecay:58, bloomBlur:9, bloomBrightness:1.1,
+    vignetteOpacity:0.85, vignetteRadius:83, vignetteFeather:36, vignetteColorLight:0.28, vignetteColorDark:0.6, reflectionOpacity:0.02, reflectionSize:1300, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'sharp', flickerOpacity:0.06, flicker:false, colorPaletteShift:0, interlaceSpeed:0.12,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'green', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'lcd-handheld': {
+    // 1980s LCD handheld (Game Boy style): no scanlines, high noise, heavy barrel, monochrome green
+    scanOpacity:0.5, scanlineColor:0.4, hairlineOpacity:0.35, fringeOpacity:0.02, fringeDominant:0.5, fringeJitterSpeed:4.5, fringeJitterAmount:4, noiseOpacity:0.48,
+    barrel:3.6, scanSize:2, scanDensity:1, phosphorSize:0.6, phosphorOpacityRed:0.06, phosphorOpacityGreen:0.16, phosphorOpacityBlue:0.06, bloom:0.06, bloomColor:'green', bloomRadius:1200, bloomDecay:62, bloomBlur:8, bloomBrightness:0.8,
+    vignetteOpacity:0.91, vignetteRadius:81, vignetteFeather:44, vignetteColorLight:0.42, vignetteColorDark:0.78, reflectionOpacity:0.05, reflectionSize:1200, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'soft', flickerOpacity:0.2, flicker:true, colorPaletteShift:0, interlaceSpeed:0.12,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'gameboy', paletteDither:0.5, lines:null, linesPixelate:false
+  },
+  'classic-rgb': {
+    // Classic RGB Monitor (80s-90s): warm phosphor, moderate barrel, color fringing visible
+    scanOpacity:0.79, scanlineColor:0.11, hairlineOpacity:0.19, fringeOpacity:0.28, fringeDominant:0.55, fringeJitterSpeed:3.3, fringeJitterAmount:2, noiseOpacity:0.19,
+    barrel:1.5, scanSize:3.8, scanDensity:2.3, phosphorSize:1.05, phosphorOpacityRed:0.15, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.15, bloom:0.18, bloomColor:'white', bloomRadius:1380, bloomDecay:55, bloomBlur:10, bloomBrightness:1.2,
+    vignetteOpacity:0.86, vignetteRadius:84, vignetteFeather:38, vignetteColorLight:0.32, vignetteColorDark:0.67, reflectionOpacity:0.03, reflectionSize:1380, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.1, flicker:true, colorPaletteShift:10, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'precision-flatcrt': {
+    // Precision flat CRT: minimal distortion, clean look, slight phosphor glow
+    scanOpacity:0.68, scanlineColor:0.16, hairlineOpacity:0.22, fringeOpacity:0.13, fringeDominant:0.3, fringeJitterSpeed:2.6, fringeJitterAmount:1.2, noiseOpacity:0.08,
+    barrel:1.3, scanSize:3, scanDensity:2.6, phosphorSize:0.8, phosphorOpacityRed:0.12, phosphorOpacityGreen:0.13, phosphorOpacityBlue:0.12, bloom:0.28, bloomColor:'white', bloomRadius:1320, bloomDecay:60, bloomBlur:13, bloomBrightness:1.4,
+    vignetteOpacity:0.83, vignetteRadius:79, vignetteFeather:30, vignetteColorLight:0.22, vignetteColorDark:0.5, reflectionOpacity:0.015, reflectionSize:1320, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'sharp', flickerOpacity:0.04, flicker:false, colorPaletteShift:-10, interlaceSpeed:0.12,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'retro-studio': {
+    // Retro studio aesthetic: high barrel, visible scanlines, pleasant bloom, warm white
+    scanOpacity:0.84, scanlineColor:0.04, hairlineOpacity:0.17, fringeOpacity:0.22, fringeDominant:0.52, fringeJitterSpeed:3.2, fringeJitterAmount:2, noiseOpacity:0.24,
+    barrel:2.4, scanSize:4.2, scanDensity:2, phosphorSize:1.08, phosphorOpacityRed:0.15, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.15, bloom:0.2, bloomColor:'white', bloomRadius:1400, bloomDecay:54, bloomBlur:10, bloomBrightness:1.25,
+    vignetteOpacity:0.89, vignetteRadius:86, vignetteFeather:41, vignetteColorLight:0.35, vignetteColorDark:0.7, reflectionOpacity:0.032, reflectionSize:1400, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.11, flicker:true, colorPaletteShift:5, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+
+  // PROFESSIONAL & BROADCAST
+  'broadcast-monitor': {
+    // Professional broadcast monitor: accurate colors, minimal distortion, high quality
+    scanOpacity:0.7, scanlineColor:0.12, hairlineOpacity:0.2, fringeOpacity:0.08, fringeDominant:0.45, fringeJitterSpeed:2.7, fringeJitterAmount:1, noiseOpacity:0.08,
+    barrel:1.2, scanSize:3, scanDensity:2.5, phosphorSize:0.85, phosphorOpacityRed:0.14, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.14, bloom:0.26, bloomColor:'white', bloomRadius:1280, bloomDecay:58, bloomBlur:12, bloomBrightness:1.35,
+    vignetteOpacity:0.84, vignetteRadius:81, vignetteFeather:34, vignetteColorLight:0.26, vignetteColorDark:0.58, reflectionOpacity:0.022, reflectionSize:1280, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'sharp', flickerOpacity:0.04, flicker:false, colorPaletteShift:-3, interlaceSpeed:0.12,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'rgb-professional': {
+    // RGB professional video monitor: pristine image quality, aperture grille
+    scanOpacity:0.68, scanlineColor:0.15, hairlineOpacity:0.18, fringeOpacity:0.06, fringeDominant:0.38, fringeJitterSpeed:2.5, fringeJitterAmount:0.8, noiseOpacity:0.05,
+    barrel:0.9, scanSize:2.8, scanDensity:2.7, phosphorSize:0.75, phosphorOpacityRed:0.13, phosphorOpacityGreen:0.15, phosphorOpacityBlue:0.13, bloom:0.3, bloomColor:'white', bloomRadius:1220, bloomDecay:62, bloomBlur:13, bloomBrightness:1.4,
+    vignetteOpacity:0.81, vignetteRadius:78, vignetteFeather:30, vignetteColorLight:0.23, vignetteColorDark:0.52, reflectionOpacity:0.018, reflectionSize:1220, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'aperture-grille', flickerOpacity:0.03, flicker:false, colorPaletteShift:-8, interlaceSpeed:0.12,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'phosphor-white': {
+    // White phosphor monochrome terminal: crisp high-contrast display
+    scanOpacity:0.75, scanlineColor:0.2, hairlineOpacity:0.23, fringeOpacity:0.05, fringeDominant:0.5, fringeJitterSpeed:2.8, fringeJitterAmount:1.2, noiseOpacity:0.14,
+    barrel:1.8, scanSize:3.8, scanDensity:2.2, phosphorSize:0.9, phosphorOpacityRed:0.16, phosphorOpacityGreen:0.16, phosphorOpacityBlue:0.16, bloom:0.18, bloomColor:'white', bloomRadius:1350, bloomDecay:56, bloomBlur:10, bloomBrightness:1.25,
+    vignetteOpacity:0.87, vignetteRadius:83, vignetteFeather:37, vignetteColorLight:0.31, vignetteColorDark:0.64, reflectionOpacity:0.026, reflectionSize:1350, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'sharp', flickerOpacity:0.07, flicker:true, colorPaletteShift:0, interlaceSpeed:0.08,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'white', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'composite-color': {
+    // Composite color with artifacts: color bleeding, visible artifacts
+    scanOpacity:0.9, scanlineColor:0.05, hairlineOpacity:0.16, fringeOpacity:0.42, fringeDominant:0.68, fringeJitterSpeed:3.9, fringeJitterAmount:3.2, noiseOpacity:0.38,
+    barrel:3.2, scanSize:5.5, scanDensity:1.7, phosphorSize:1.3, phosphorOpacityRed:0.17, phosphorOpacityGreen:0.14, phosphorOpacityBlue:0.16, bloom:0.12, bloomColor:'amber', bloomRadius:1420, bloomDecay:58, bloomBlur:9, bloomBrightness:1.05,
+    vignetteOpacity:0.92, vignetteRadius:87, vignetteFeather:40, vignetteColorLight:0.37, vignetteColorDark:0.74, reflectionOpacity:0.038, reflectionSize:1420, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'shadow-mask', flickerOpacity:0.14, flicker:true, colorPaletteShift:20, interlaceSpeed:0.08,
+    humBars:true, humBarsIntensity:0.15, humBarsSpeed:0.08, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:true, compositeBleed:0.6, compositeArtifacts:0.5, compositeDotCrawl:0.4, compositeGhost:0.1, compositeGhostOffset:0.8, convergence:1.2, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'vhs-tape': {
+    // Consumer TV fed from a worn VHS tape: soft picture, creeping hum bars, tracking noise, unstable sync
+    scanOpacity:0.7, scanlineColor:0.1, hairlineOpacity:0.14, fringeOpacity:0.34, fringeDominant:0.62, fringeJitterSpeed:3.6, fringeJitterAmount:3, noiseOpacity:0.34,
+    barrel:2.4, scanSize:4.5, scanDensity:1.8, phosphorSize:1.2, phosphorOpacityRed:0.16, phosphorOpacityGreen:0.14, phosphorOpacityBlue:0.15, bloom:0.2, bloomColor:'white', bloomRadius:1450, bloomDecay:55, bloomBlur:14, bloomBrightness:1.2,
+    vignetteOpacity:0.9, vignetteRadius:85, vignetteFeather:42, vignetteColorLight:0.36, vignetteColorDark:0.72, reflectionOpacity:0.035, reflectionSize:1450, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'soft', flickerOpacity:0.1, flicker:true, colorPaletteShift:8, interlaceSpeed:0.08,
+    humBars:true, humBarsIntensity:0.22, humBarsSpeed:0.06, verticalHold:true, verticalHoldIntensity:0.2, verticalHoldSpeed:1.2, trackingNoise:true, trackingNoiseIntensity:0.6, trackingNoiseSpeed:1.2, syncTear:true, syncTearIntensity:0.25, syncTearSpeed:0.4,
+    composite:true, compositeBleed:0.85, compositeArtifacts:0.3, compositeDotCrawl:0.2, compositeGhost:0.15, compositeGhostOffset:1.2, convergence:2, phosphor:'color', palette:'none', paletteDither:0, lines:'480i', linesPixelate:false
+  },
+  'plasma-display': {
+    // Early 2000s plasma display: unique phosphor glow, no scanlines
+    scanOpacity:0.4, scanlineColor:0.5, hairlineOpacity:0.08, fringeOpacity:0.15, fringeDominant:0.48, fringeJitterSpeed:3.5, fringeJitterAmount:1.8, noiseOpacity:0.12,
+    barrel:0.5, scanSize:2, scanDensity:3, phosphorSize:0.7, phosphorOpacityRed:0.16, phosphorOpacityGreen:0.14, phosphorOpacityBlue:0.15, bloom:0.35, bloomColor:'white', bloomRadius:1600, bloomDecay:45, bloomBlur:16, bloomBrightness:1.6,
+    vignetteOpacity:0.78, vignetteRadius:88, vignetteFeather:38, vignetteColorLight:0.28, vignetteColorDark:0.62, reflectionOpacity:0.05, reflectionSize:1600, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'soft', flickerOpacity:0.06, flicker:false, colorPaletteShift:-15, interlaceSpeed:0.12,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'color', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  },
+  'vector-display': {
+    // Vector monitor (Asteroids/Vectrex): bright phosphor trails, minimal structure
+    scanOpacity:0.3, scanlineColor:0.6, hairlineOpacity:0.05, fringeOpacity:0.05, fringeDominant:0.5, fringeJitterSpeed:2.2, fringeJitterAmount:0.5, noiseOpacity:0.08,
+    barrel:1.6, scanSize:2, scanDensity:1, phosphorSize:0.5, phosphorOpacityRed:0.08, phosphorOpacityGreen:0.18, phosphorOpacityBlue:0.1, bloom:0.45, bloomColor:'green', bloomRadius:1800, bloomDecay:35, bloomBlur:18, bloomBrightness:1.8,
+    vignetteOpacity:0.88, vignetteRadius:86, vignetteFeather:45, vignetteColorLight:0.38, vignetteColorDark:0.76, reflectionOpacity:0.02, reflectionSize:1800, reflectionPositionX:50, reflectionPositionY:10, reflection:false, scanlineMask:'soft', flickerOpacity:0.05, flicker:false, colorPaletteShift:0, interlaceSpeed:0.12,
+    humBars:false, verticalHold:false, trackingNoise:false, syncTear:false,
+    composite:false, convergence:0, phosphor:'green', palette:'none', paletteDither:0, lines:null, linesPixelate:false
+  }
+};
+
+const BUILTIN_PRESET_GROUPS = {
+  'Classic Desktop': { 'default':'Default', 'trinitron-fd':'Trinitron FD', 'professional-monitor':'Professional Monitor', 'monitor-1084s':'Monitor 1084S', 'studio-display-crt':'Studio Display CRT', 'arcade-crt':'Arcade CRT' },
+  'Professional Monitors': { 'broadcast-monitor':'Broadcast Monitor', 'rgb-professional':'RGB Professional', 'retro-studio':'Retro Studio' },
+  'Phosphor Colors': { 'amber-phosphor':'Amber Phosphor', 'green-phosphor':'Green Phosphor', 'blue-phosphor':'Blue Phosphor', 'phosphor-white':'White Phosphor' },
+  'Specialized': { 'vt220-terminal':'VT220 Terminal', 'lcd-handheld':'LCD Handheld', 'classic-rgb':'Classic RGB', 'precision-flatcrt':'Precision FlatCRT', 'composite-color':'Composite Color', 'vhs-tape':'VHS Tape' },
+  'Alternative Display Tech': { 'plasma-display':'Plasma Display', 'vector-display':'Vector Display' },
+};
+
+/** name -> { values, extends, group, label, builtin }; Map order is dropdown order. */
+const presetRegistry = new Map();
+
+Object.entries(BUILTIN_PRESET_GROUPS).forEach(([group, labels]) => {
+  Object.entries(labels).forEach(([name, label]) => {
+    presetRegistry.set(name, { values: BUILTIN_PRESETS[name], extends: null, group, label, builtin: true });
+  });
+});
+
+/** Merge a preset over its ancestors (base first). */
+function resolvePreset(name) {
+  const entry = presetRegistry.get(name);
+  if (!entry) return undefined;
+  const base = entry.extends ? resolvePreset(entry.extends) : {};
+  return { ...base, ...entry.values };
+}
+
+function presetLabel(name) {
+  return name.replace(/[-_]+/g, ' ').replace(/\b\w/g, ch => ch.toUpperCase());
+}
+
+/** Tell connected overlays (and apps) that the preset list changed. */
+function notifyPresetsChanged(name, action) {
+  document.dispatchEvent(new CustomEvent('crt-presets-change', { detail: { name, action } }));
+}
+
+// Lets standalone panels pick up overlays that connect after them, and drop removed ones
+function notifyOverlaysChanged(overlay, action) {
+  document.dispatchEvent(new CustomEvent('crt-overlays-change', { detail: { overlay, action } }));
+}
+
+/**
+ * WCAG 2.3.1 (Three Flashes or Below Threshold): at most three flashes in any one-second period,
+ * and a luminance change under 10% does not count as a flash. Safe mode stays inside both.
+ */
+const SAFE_MIN_FLASH_INTERVAL = 350;
+const SAFE_FLASH_LUMINANCE = 0.08;
+
+/**
+ * requestAnimationFrame scheduler shared by all of an overlay's animations.
+ * Tasks return the delay (ms) until they want to run again; anything else means "next frame".
+ * Time only advances while running (or through step()), and any block reason pauses the loop.
+ */
+class CRTAnimationScheduler {
+  constructor(onStateChange) {
+    this.tasks = new Map();
+    this.blocks = new Set();
+    this.fps = 60;
+    this.time = 0;
+    this._frame = null;
+    this._last = null;
+    this._running = false;
+    this.onStateChange = onStateChange;
+  }
+
+  get running() {
+    return this.blocks.size === 0 && this.tasks.size > 0;
+  }
+
+  get blocked() {
+    return this.blocks.size > 0;
+  }
+
+  add(name, callback) {
+    this.tasks.set(name, { callback, due: this.time });
+    this._sync();
+  }
+
+  remove(name) {
+    if (this.tasks.delete(name)) this._sync();
+  }
+
+  clear() {
+    this.tasks.clear();
+    this._sync();
+  }
+
+  block(reason, blocked = true) {
+    if (blocked === this.blocks.has(reason)) return;
+    if (blocked) this.blocks.add(reason);
+    else this.blocks.delete(reason);
+    this._sync();
+  }
+
+  step(ms) {
+    this.time += Math.max(0, ms);
+    this._runDue();
+  }
+
+  _runDue() {
+    for (const [name, task] of this.tasks) {
+      if (this.time < task.due) continue;
+      const delay = task.callback(this.time);
+      if (this.tasks.get(name) === task) task.due = this.time + (typeof delay === 'number' ? delay : 0);
+    }
+  }
+
+  _sync() {
+    const running = this.running;
+    if (running && this._frame === null) {
+      this._last = null;
+      this._frame = requestAnimationFrame((now) => this._tick(now));
+    } else if (!running && this._frame !== null) {
+      cancelAnimationFrame(this._frame);
+      this._frame = null;
+    }
+    if (running !== this._running) {
+      this._running = running;
+      if (this.onStateChange) this.onStateChange(running);
+    }
+  }
+
+  _tick(now) {
+    this._frame = requestAnimationFrame((t) => this._tick(t));
+    if (this._last === null) {
+      this._last = now;
+      this._runDue();
+      return;
+    }
+    const elapsed = now - this._last;
+    const interval = this.fps > 0 ? 1000 / this.fps : 0;
+    if (elapsed < interval - 1) return; // 1ms of slack for rAF jitter
+    this._last = interval > 0 ? now - (elapsed % interval) : now;
+    this.time += Math.min(elapsed, 100); // no catch-up burst after a long stall
+    this._runDue();
+  }
+}
+
+/**
+ * Film grain frames shared by every overlay on the page. Generated once, as object URLs.
+ */
+const GRAIN_FRAME_COUNT = 16;
+const GRAIN_FRAME_SIZE = 256;
+const sharedGrain = { frames: [], ready: null };
+
+/** Fill an ImageData with semi-transparent, slightly blue-tinted grayscale noise. */
+function fillGrain(img) {
+  for (let i = 0; i < img.data.length; i += 4) {
+    const v = (Math.random() * 255) | 0;
+    img.data[i] = v * 0.6;     // R: slightly dimmed
+    img.data[i + 1] = v * 0.6; // G: slightly dimmed
+    img.data[i + 2] = v * 0.7; // B: slightly more blue
+    img.data[i + 3] = 80;      // A: semi-transparent
+  }
+  return img;
+}
+
+const GRAIN_WORKER_SOURCE = `
+${fillGrain.toString()}
+self.onmessage = async (e) => {
+  const { count, size } = e.data;
+  const canvas = new OffscreenCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  const frames = [];
+  for (let n = 0; n < count; n++) {
+    ctx.putImageData(fillGrain(ctx.createImageData(size, size)), 0, 0);
+    frames.push(await canvas.convertToBlob({ type: 'image/png' }));
+  }
+  self.postMessage(frames);
+};`;
+
+/** Build the grain frames in a worker with OffscreenCanvas. Rejects when either is unavailable. */
+function generateGrainInWorker() {
+  return new Promise((resolve, reject) => {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+      reject(new Error('OffscreenCanvas worker unavailable'));
+      return;
+    }
+    const scriptUrl = URL.createObjectURL(new Blob([GRAIN_WORKER_SOURCE], { type: 'text/javascript' }));
+    let worker;
+    try {
+      worker = new Worker(scriptUrl);
+    } catch (err) {
+      URL.revokeObjectURL(scriptUrl);
+      reject(err);
+      return;
+    }
+    const finish = () => { worker.terminate(); URL.revokeObjectURL(scriptUrl); };
+    worker.onmessage = (e) => { finish(); resolve(e.data); };
+    worker.onerror = (e) => { finish(); reject(e); };
+    worker.postMessage({ count: GRAIN_FRAME_COUNT, size: GRAIN_FRAME_SIZE });
+  });
+}
+
+/** Main-thread fallback: one frame per task so connecting an overlay never blocks for long. */
+function generateGrainOnMainThread() {
+  const canvas = document.createElement('canvas');
+  canvas.width = GRAIN_FRAME_SIZE;
+  canvas.height = GRAIN_FRAME_SIZE;
+  const ctx = canvas.getContext('2d');
+  const frames = [];
+  return new Promise((resolve) => {
+    const next = () => {
+      if (frames.length === GRAIN_FRAME_COUNT) {
+        resolve(frames);
+        return;
+      }
+      ctx.putImageData(fillGrain(ctx.createImageData(GRAIN_FRAME_SIZE, GRAIN_FRAME_SIZE)), 0, 0);
+      canvas.toBlob((blob) => {
+        frames.push(blob);
+        setTimeout(next, 0);
+      }, 'image/png');
+    };
+    next();
+  });
+}
+
+/** Resolve once the shared grain frames are ready; the first caller starts generation. */
+function loadGrainFrames() {
+  if (!sharedGrain.ready) {
+    sharedGrain.ready = generateGrainInWorker()
+      .catch(() => generateGrainOnMainThread())
+      .then((blobs) => {
+        sharedGrain.frames = blobs.filter(Boolean).map((blob) => URL.createObjectURL(blob));
+        return sharedGrain.frames;
+      });
+  }
+  return sharedGrain.ready;
+}
+
+/**
+ * Phosphor tints used by bloom/halation and the monochrome phosphor remap, as linear 0-1 RGB triplets.
+ */
+const BLOOM_TINTS = {
+  white: [1, 1, 1],
+  amber: [1, 0.69, 0.25],
+  green: [0.4, 1, 0.45],
+  blue: [0.45, 0.65, 1],
+};
+
+const colorCache = new Map();
+let colorProbe = null;
+
+/**
+ * Resolve a bloom color to a 0-1 RGB triplet. Accepts the named phosphor tints
+ * above or any CSS color (hex, rgb(), hsl(), keywords); returns null if invalid.
+ */
+function parseBloomColor(value) {
+  if (!value) return null;
+  const key = String(value).trim().toLowerCase();
+  if (Object.hasOwn(BLOOM_TINTS, key)) return BLOOM_TINTS[key];
+  if (colorCache.has(key)) return colorCache.get(key);
+
+  let rgb = parseHexColor(key);
+  if (!rgb) {
+    // Let the browser normalize everything else; fillStyle ignores invalid values
+    colorProbe = colorProbe || document.createElement('canvas').getContext('2d');
+    if (colorProbe) {
+      colorProbe.fillStyle = '#010203';
+      colorProbe.fillStyle = key;
+      const normalized = String(colorProbe.fillStyle);
+      if (normalized !== '#010203' || key === '#010203') {
+        rgb = parseHexColor(normalized) || parseRgbColor(normalized);
+      }
+    }
+  }
+  colorCache.set(key, rgb);
+  return rgb;
+}
+
+function parseHexColor(value) {
+  const m = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(value);
+  if (!m) return null;
+  let hex = m[1];
+  if (hex.length <= 4) hex = hex.split('').map(ch => ch + ch).join('');
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+function parseRgbColor(value) {
+  const m = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/.exec(value);
+  return m ? [m[1], m[2], m[3]].map(n => Math.min(255, parseFloat(n)) / 255) : null;
+}
+
+/** Format a 0-1 RGB triplet as #rrggbb (for the color picker). */
+function toHexColor(rgb) {
+  return '#' + rgb.map(n => Math.round(Math.min(1, Math.max(0, n)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+const MASK_TYPES = ['shadow-mask', 'aperture-grille', 'slot-mask', 'sharp', 'soft'];
+
+const SETTINGS_FORMAT = 'crt-overlay-settings';
+const SETTINGS_VERSION = 1;
+
+/**
+ * Every tunable parameter, in panel order. This one list drives the config defaults, observed
+ * attributes, attribute parsing and the generated panel rows, and checks imported settings.
+ *
+ * key/attribute  config key and the attribute that sets it (derived from the key)
+ * type           'number', 'boolean', 'enum' (values), 'color' (keywords), 'palette', 'lines' or 'string'
+ * min/max        valid domain of a number; attribute values outside it are clamped
+ * range/step     slider bounds where narrower than the domain, and the slider step
+ * group/label    panel section and row label; `control` ('slider' or 'toggle') marks generated rows
+ * labels         panel labels for values of a dropdown (the title-cased value otherwise)
+ * suggestions    values a free-form parameter's dropdown offers ('lines')
+ * settings       false for layout and runtime state: kept out of exported settings, persistence and undo history
+ */
+const PARAMETER_SCHEMA = Object.freeze([
+  // Scanlines & structure
+  { key: 'scanOpacity', type: 'number', min: 0, max: 1, step: 0.02, default: 0.75, group: 'scanlines', label: 'Scan opacity', control: 'slider' },
+  { key: 'scanlineColor', type: 'number', min: 0, max: 1, step: 0.05, default: 0, group: 'scanlines', label: 'Scanline darkness', control: 'slider' }, // 0=black, 1=transparent
+  { key: 'scanSize', type: 'number', min: 1, max: 16, range: [2, 8], step: 0.5, default: 4, group: 'scanlines', label: 'Scan size', control: 'slider' },
+  { key: 'lines', type: 'lines', nullable: true, default: null, group: 'scanlines', label: 'Lines', suggestions: ['224', '240', '288', '480i', '576i'] }, // emulated line count ('240', '480i', ...) replaces scanSize
+  { key: 'linesPixelate', type: 'boolean', default: false, group: 'lines', label: 'Pixelate content to line count', control: 'toggle' },
+  { key: 'scanlineMask', type: 'enum', values: MASK_TYPES, default: 'shadow-mask', group: 'scanlines', label: 'Scanline mask' },
+  { key: 'hairlineOpacity', type: 'number', min: 0, max: 1, range: [0, 0.3], step: 0.01, default: 0.12, group: 'hairlines', label: 'Hairline opacity', control: 'slider' },
+  { key: 'scanDensity', type: 'number', min: 0.5, max: 8, range: [1, 4], step: 0.1, default: 2, group: 'hairlines', label: 'Scan density', control: 'slider' },
+
+  // Chromatic aberration, convergence and phosphor mask
+  { key: 'fringeOpacity', type: 'number', min: 0, max: 1, range: [0, 0.6], step: 0.02, default: 0.18, group: 'fringe', label: 'Fringe opacity', control: 'slider' },
+  { key: 'fringeDominant', type: 'number', min: 0, max: 1, step: 0.05, default: 0.5, group: 'fringe', label: 'Fringe color shift', control: 'slider' }, // 0=blue, 1=red dominant
+  { key: 'fringeJitterSpeed', type: 'number', min: 0.1, max: 20, range: [1, 5], step: 0.1, default: 3.2, group: 'fringe', label: 'Fringe jitter speed', control: 'slider' }, // seconds
+  { key: 'fringeJitterAmount', type: 'number', min: 0, max: 20, range: [0, 5], step: 0.5, default: 2, group: 'fringe', label: 'Fringe jitter amount', control: 'slider' }, // px
+  { key: 'convergence', type: 'number', min: 0, max: 20, range: [0, 12], step: 0.5, default: 0, group: 'fringe', label: 'RGB convergence (px)', control: 'slider' }, // misconvergence at the edges (0 = off)
+  { key: 'convergenceCenter', type: 'number', min: 0, max: 1, step: 0.05, default: 0.25, group: 'fringe', label: 'Convergence at center', control: 'slider' },
+  { key: 'phosphorSize', type: 'number', min: 0.1, max: 8, range: [0.5, 3], step: 0.1, default: 1, group: 'fringe', label: 'Phosphor size', control: 'slider' },
+  { key: 'phosphorOpacityRed', type: 'number', min: 0, max: 1, range: [0, 0.3], step: 0.01, default: 0.15, group: 'fringe', label: 'Phosphor red opacity', control: 'slider' },
+  { key: 'phosphorOpacityGreen', type: 'number', min: 0, max: 1, range: [0, 0.3], step: 0.01, default: 0.15, group: 'fringe', label: 'Phosphor green opacity', control: 'slider' },
+  { key: 'phosphorOpacityBlue', type: 'number', min: 0, max: 1, range: [0, 0.3], step: 0.01, default: 0.15, group: 'fringe', label: 'Phosphor blue opacity', control: 'slider' },
+
+  { key: 'noiseOpacity', type: 'number', min: 0, max: 1, range: [0, 0.4], step: 0.01, default: 0.15, group: 'noise', label: 'Noise opacity', control: 'slider' },
+
+  // Vignette and glass reflection
+  { key: 'vignetteOpacity', type: 'number', min: 0, max: 1, step: 0.05, default: 0.4, group: 'vignette', label: 'Vignette opacity', control: 'slider' },
+  { key: 'vignetteRadius', type: 'number', min: 0, max: 100, range: [30, 95], step: 5, default: 80, group: 'vignette', label: 'Vignette radius', control: 'slider' }, // %
+  { key: 'vignetteFeather', type: 'number', min: 0, max: 100, range: [10, 80], step: 5, default: 35, group: 'vignette', label: 'Vignette feather', control: 'slider' }, // %
+  { key: 'vignetteColorLight', type: 'number', min: 0, max: 1, step: 0.05, default: 0.3, group: 'vignette', label: 'Vignette inner dark', control: 'slider' },
+  { key: 'vignetteColorDark', type: 'number', min: 0, max: 1, step: 0.05, default: 0.6, group: 'vignette', label: 'Vignette outer dark', control: 'slider' },
+  { key: 'reflection', type: 'boolean', default: false, group: 'reflection', label: 'Enable reflection', control: 'toggle' },
+  { key: 'reflectionSize', type: 'number', min: 100, max: 4000, range: [800, 2000], step: 100, default: 1200, group: 'reflection', label: 'Reflection size', control: 'slider' }, // px
+  { key: 'reflectionOpacity', type: 'number', min: 0, max: 1, range: [0, 0.15], step: 0.005, default: 0.02, group: 'reflection', label: 'Reflection opacity', control: 'slider' },
+  { key: 'reflectionPositionX', type: 'number', min: 0, max: 100, step: 5, default: 50, group: 'reflection', label: 'Reflection position X', control: 'slider' }, // %
+  { key: 'reflectionPositionY', type: 'number', min: 0, max: 100, step: 5, default: 10, group: 'reflection', label: 'Reflection position Y', control: 'slider' }, // %
+
+  { key: 'flicker', type: 'boolean', default: true, group: 'flicker', label: 'Enable flicker', control: 'toggle' },
+  { key: 'flickerOpacity', type: 'number', min: 0, max: 1, range: [0, 0.2], step: 0.01, default: 0.06, group: 'flicker', label: 'Flicker opacity', control: 'slider' },
+
+  // Signal artifacts (a bad analog signal rather than a bad tube)
+  { key: 'humBars', type: 'boolean', default: false, group: 'signal', label: 'Enable hum bars', control: 'toggle' },
+  { key: 'humBarsIntensity', type: 'number', min: 0, max: 1, step: 0.05, default: 0.3, group: 'signal', label: 'Hum bar intensity', control: 'slider' },
+  { key: 'humBarsSpeed', type: 'number', min: 0, max: 5, range: [0, 0.5], step: 0.01, default: 0.1, group: 'signal', label: 'Hum bar speed', control: 'slider' }, // screen heights per second
+  { key: 'verticalHold', type: 'boolean', default: false, group: 'signal', label: 'Enable vertical hold drift', control: 'toggle' },
+  { key: 'verticalHoldIntensity', type: 'number', min: 0, max: 1, step: 0.05, default: 0.3, group: 'signal', label: 'Vertical hold intensity', control: 'slider' },
+  { key: 'verticalHoldSpeed', type: 'number', min: 0, max: 10, range: [0.2, 5], step: 0.1, default: 1.5, group: 'signal', label: 'Roll speed', control: 'slider' }, // frames per second
+  { key: 'trackingNoise', type: 'boolean', default: false, group: 'signal', label: 'Enable tracking noise', control: 'toggle' },
+  { key: 'trackingNoiseIntensity', type: 'number', min: 0, max: 1, step: 0.05, default: 0.5, group: 'signal', label: 'Tracking intensity', control: 'slider' },
+  { key: 'trackingNoiseSpeed', type: 'number', min: 0.05, max: 10, range: [0.1, 3], step: 0.1, default: 1, group: 'signal', label: 'Tracking speed', control: 'slider' },
+  { key: 'syncTear', type: 'boolean', default: false, group: 'signal', label: 'Enable sync tearing', control: 'toggle' },
+  { key: 'syncTearIntensity', type: 'number', min: 0, max: 1, step: 0.05, default: 0.3, group: 'signal', label: 'Tear intensity', control: 'slider' },
+  { key: 'syncTearSpeed', type: 'number', min: 0, max: 10, range: [0, 3], step: 0.1, default: 0.5, group: 'signal', label: 'Tears per second', control: 'slider' },
+
+  // Composite video stage
+  { key: 'composite', type: 'boolean', default: false, group: 'composite', label: 'Enable composite video', control: 'toggle' },
+  { key: 'compositeBleed', type: 'number', min: 0, max: 1, step: 0.05, default: 0.5, group: 'composite', label: 'Chroma bleed', control: 'slider' },
+  { key: 'compositeArtifacts', type: 'number', min: 0, max: 1, step: 0.05, default: 0.3, group: 'composite', label: 'Luma/chroma artifacts', control: 'slider' },
+  { key: 'compositeDotCrawl', type: 'number', min: 0, max: 1, step: 0.05, default: 0.3, group: 'composite', label: 'Dot crawl', control: 'slider' },
+  { key: 'compositeGhost', type: 'number', min: 0, max: 1, range: [0, 0.5], step: 0.01, default: 0.15, group: 'composite', label: 'Ghost strength', control: 'slider' },
+  { key: 'compositeGhostOffset', type: 'number', min: 0, max: 10, range: [0, 5], step: 0.1, default: 0.8, group: 'composite', label: 'Ghost offset', control: 'slider' }, // % of the picture width
+
+  // Bloom & glow
+  { key: 'bloom', type: 'number', min: 0, max: 1, range: [0, 0.4], step: 0.02, default: 0.15, group: 'bloom', label: 'Bloom strength', control: 'slider' },
+  { key: 'bloomBrightness', type: 'number', min: 0, max: 4, range: [0.5, 2], step: 0.1, default: 1.1, group: 'bloom', label: 'Bloom brightness', control: 'slider' },
+  { key: 'bloomRadius', type: 'number', min: 100, max: 4000, range: [800, 2000], step: 100, default: 1200, group: 'bloom', label: 'Bloom radius', control: 'slider' }, // px
+  { key: 'bloomDecay', type: 'number', min: 0, max: 100, range: [20, 90], step: 5, default: 60, group: 'bloom', label: 'Bloom decay', control: 'slider' }, // %
+  { key: 'bloomBlur', type: 'number', min: 0, max: 100, range: [2, 40], step: 2, default: 6, group: 'bloom', label: 'Bloom blur', control: 'slider' }, // px
+  { key: 'bloomColor', type: 'color', default: 'white', group: 'bloom', label: 'Bloom color' }, // 'white', 'amber', 'green', 'blue' or any CSS color
+
+  // Color & effects
+  { key: 'colorPaletteShift', type: 'number', min: -360, max: 360, range: [-180, 180], step: 15, default: 0, group: 'color', label: 'Color palette shift', control: 'slider' }, // deg, positive=warm
+  { key: 'interlaceSpeed', type: 'number', min: 0.01, max: 2, range: [0.05, 0.2], step: 0.01, default: 0.08, group: 'color', label: 'Interlace speed', control: 'slider' }, // seconds per frame
+  { key: 'phosphor', type: 'color', keywords: ['color'], default: 'color', group: 'color', label: 'Phosphor', labels: { color: 'Full color' } }, // 'color' or a monochrome phosphor color
+  { key: 'palette', type: 'palette', default: 'none', group: 'palette', label: 'Palette', labels: { none: 'None', cga: 'CGA', ega: 'EGA', gameboy: 'Game Boy', pico8: 'PICO-8', c64: 'C64' } }, // palette name or an array of CSS colors
+  { key: 'paletteDither', type: 'number', min: 0, max: 1, step: 0.05, default: 0, group: 'palette', label: 'Palette dither', control: 'slider' },
+
+  // Geometry
+  { key: 'barrel', type: 'number', min: -6, max: 6, step: 0.2, default: 1.5, group: 'barrel', label: 'Barrel amount', control: 'slider' }, // positive=barrel, negative=pincushion
+  { key: 'barrelX', type: 'number', min: -6, max: 6, nullable: true, default: null, group: 'barrel', label: 'Horizontal barrel' }, // null = follow barrel
+  { key: 'barrelY', type: 'number', min: -6, max: 6, nullable: true, default: null, group: 'barrel', label: 'Vertical barrel' },
+
+  // Layering & behavior
+  { key: 'mode', type: 'enum', values: [0, 1, 2], default: 1, group: 'mode', label: 'Mode', labels: { 0: 'Disabled', 1: 'Behind Content', 2: 'On Top' }, settings: false }, // 0=disabled, 1=behind content, 2=on top
+  { key: 'opacity', type: 'number', min: 0, max: 1, step: 0.05, default: 1, group: 'global', label: 'Overlay opacity', control: 'slider' },
+  { key: 'fps', type: 'number', min: 0, max: 240, step: 1, default: 60, group: 'behavior', label: 'Frame cap' }, // 0 = display rate
+  { key: 'safeMode', type: 'boolean', default: false, group: 'behavior', label: 'Photosensitivity safe mode', settings: false }, // the viewer's preference, not part of the look
+  { key: 'controls', type: 'boolean', default: false, group: 'behavior', label: 'Controls panel', settings: false },
+  { key: 'applyBarrelTo', type: 'string', nullable: true, default: null, group: 'behavior', label: 'Barrel target', settings: false }, // selector
+  { key: 'scope', type: 'enum', values: ['page', 'self'], default: 'page', group: 'behavior', label: 'Scope', settings: false },
+  { key: 'source', type: 'string', nullable: true, default: null, group: 'behavior', label: 'Source element', settings: false }, // <canvas>/<video> selector
+  { key: 'portalSelector', type: 'string', nullable: true, default: null, group: 'behavior', label: 'Portal selector', settings: false }, // UI portal adjusted for z-index/filtering
+  { key: 'persistKey', type: 'string', nullable: true, default: null, group: 'behavior', label: 'Persist key', settings: false },
+  { key: 'power', type: 'enum', values: ['on', 'off'], default: 'on', group: 'behavior', label: 'Power', settings: false },
+
+  // A/B comparison (a viewing aid, not part of the look)
+  { key: 'compare', type: 'enum', values: ['off', 'split-vertical', 'split-horizontal', 'wipe'], default: 'off', group: 'compare', label: 'Compare', settings: false,
+    labels: { 'off': 'Off', 'split-vertical': 'Split left / right', 'split-horizontal': 'Split top / bottom', 'wipe': 'Wipe (follows pointer)' } },
+  { key: 'comparePosition', type: 'number', min: 0, max: 100, step: 1, default: 50, group: 'compare', label: 'Divider position', control: 'slider', settings: false }, // % from the left (top)
+  { key: 'comparePreset', type: 'string', nullable: true, default: null, group: 'compare', label: 'Compare with', settings: false }, // preset shown past the divider, null = raw page
+].map(param => Object.freeze({ ...param, attribute: param.key.replace(/([A-Z])/g, '-$1').toLowerCase() })));
+
+const PARAMETERS_BY_KEY = new Map(PARAMETER_SCHEMA.map(param => [param.key, param]));
+const PARAMETERS_BY_ATTRIBUTE = new Map(PARAMETER_SCHEMA.map(param => [param.attribute, param]));
+
+/** Accepted values per config key for imported settings (the schema minus runtime-only state). */
+const SETTINGS_SCHEMA = Object.fromEntries(PARAMETER_SCHEMA.filter(param => param.settings !== false).map(param => [param.key, param]));
+
+/** Fresh config object holding every parameter's default. */
+function defaultConfig() {
+  return Object.fromEntries(PARAMETER_SCHEMA.map(param => [param.key, param.default]));
+}
+
+/**
+ * Number attribute for a schema entry: a missing value falls back to the default (or null where
+ * nullable), unparseable input keeps `current`, and values outside the domain are clamped. Warns on both.
+ */
+function parseNumberAttribute(param, value, current) {
+  if (value === null || value === '') return param.nullable ? null : param.default;
+  const numeric = parseFloat(value);
+  if (!Number.isFinite(numeric)) {
+    console.warn(`crt-overlay: invalid ${param.attribute} "${value}", keeping ${current}`);
+    return current;
+  }
+  const clamped = Math.min(param.max, Math.max(param.min, numeric));
+  if (clamped !== numeric) console.warn(`crt-overlay: ${param.attribute} ${numeric} is out of range (${param.min} to ${param.max}), using ${clamped}`);
+  return clamped;
+}
+
+const PERSIST_PREFIX = 'crt-overlay:';
+const PERSIST_DELAY = 400;
+const HISTORY_DELAY = 400; // ms without changes that closes an undo step
+const HISTORY_LIMIT = 100;
+
+/** Parse and check a settings document (object or JSON string); returns { doc, errors }. */
+function parseSettings(json) {
+  const fail = (message) => ({ doc: null, errors: [message] });
+  let doc = json;
+  if (typeof json === 'string') {
+    try {
+      doc = JSON.parse(json);
+    } catch (err) {
+      return fail(`Not valid JSON: ${err.message}`);
+    }
+  }
+  if (!doc || typeof doc !== 'object' || doc.format !== SETTINGS_FORMAT) return fail(`Not a ${SETTINGS_FORMAT} document`);
+  if (!Number.isInteger(doc.version) || doc.version < 1) return fail('Missing or invalid "version"');
+  if (doc.version > SETTINGS_VERSION) return fail(`Version ${doc.version} is newer than supported version ${SETTINGS_VERSION}`);
+  if (!doc.config || typeof doc.config !== 'object' || Array.isArray(doc.config)) return fail('Missing "config" object');
+  const errors = validateSettings(doc.config);
+  return { doc: errors.length ? null : doc, errors };
+}
+
+/**
+ * A settings document (object or JSON string) without the layout and runtime keys (scope, source, ...)
+ * that state saved by older versions may still hold. Anything that is not a settings document is returned as is.
+ */
+function withoutRuntimeKeys(json) {
+  let doc = json;
+  try {
+    if (typeof json === 'string') doc = JSON.parse(json);
+  } catch (err) {
+    return json;
+  }
+  if (!doc || typeof doc !== 'object' || !doc.config || typeof doc.config !== 'object' || Array.isArray(doc.config)) return json;
+  const config = Object.fromEntries(Object.entries(doc.config).filter(([key]) => !PARAMETERS_BY_KEY.has(key) || key in SETTINGS_SCHEMA));
+  return { ...doc, config };
+}
+
+/** Check a partial config against SETTINGS_SCHEMA; returns readable error messages. */
+function validateSettings(config) {
+  const errors = [];
+  Object.entries(config).forEach(([key, value]) => {
+    const rule = Object.hasOwn(SETTINGS_SCHEMA, key) ? SETTINGS_SCHEMA[key] : null;
+    if (!rule) {
+      errors.push(`${key}: unknown setting`);
+      return;
+    }
+    if (value === null && rule.nullable) return;
+    const shown = JSON.stringify(value);
+    if (rule.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`${key}: expected a number, got ${shown}`);
+      else if (value < rule.min || value > rule.max) errors.push(`${key}: ${value} is out of range (${rule.min} to ${rule.max})`);
+    } else if (rule.type === 'boolean') {
+      if (typeof value !== 'boolean') errors.push(`${key}: expected true or false, got ${shown}`);
+    } else if (rule.type === 'enum') {
+      if (!rule.values.includes(value)) errors.push(`${key}: ${shown} is not one of ${rule.values.map(v => JSON.stringify(v)).join(', ')}`);
+    } else if (rule.type === 'color') {
+      const keyword = rule.keywords && rule.keywords.includes(value);
+      if (typeof value !== 'string' || !(keyword || parseBloomColor(value))) errors.push(`${key}: ${shown} is not a color`);
+    } else if (rule.type === 'lines') {
+      if (!parseLines(value)) errors.push(`${key}: ${shown} is not a line count (${LINES_RANGE.min} to ${LINES_RANGE.max}, optionally with "i" or "p")`);
+    } else if (rule.type === 'palette') {
+      if (value !== 'none' && !resolvePalette(value)) errors.push(`${key}: ${shown} is not a palette name or a list of 2 to ${PALETTE_MAX_COLORS} colors`);
+    } else if (typeof value !== 'string') {
+      errors.push(`${key}: expected a string${rule.nullable ? ' or null' : ''}, got ${shown}`);
+    }
+  });
+  return errors;
+}
+
+const TRANSITION_EASINGS = {
+  'linear': t => t,
+  'ease-in': t => t * t * t,
+  'ease-out': t => 1 - Math.pow(1 - t, 3),
+  'ease-in-out': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+/** Discrete keys that switch halfway through a transition, and the layer opacity that dips to 0 around the switch. */
+const TRANSITION_FADES = {
+  scanlineMask: 'scanOpacity', flicker: 'flickerOpacity', reflection: 'reflectionOpacity',
+  humBars: 'humBarsIntensity', verticalHold: 'verticalHoldIntensity', trackingNoise: 'trackingNoiseIntensity', syncTear: 'syncTearIntensity',
+};
+
+/** Config values at eased progress p between two configs (only keys that can animate). */
+function interpolateConfig(from, to, p, fade = true) {
+  const out = {};
+  Object.entries(to).forEach(([key, target]) => {
+    const start = from[key];
+    const rule = SETTINGS_SCHEMA[key];
+    if (!rule) return;
+    if (rule.type === 'number' && typeof start === 'number' && typeof target === 'number') {
+      out[key] = Math.round((start + (target - start) * p) * 1e4) / 1e4;
+    } else if (rule.type === 'color') {
+      const a = parseBloomColor(start);
+      const b = parseBloomColor(target);
+      out[key] = a && b ? toHexColor(a.map((v, i) => v + (b[i] - v) * p)) : (p < 0.5 ? start : target);
+    } else if (TRANSITION_FADES[key]) {
+      out[key] = p < 0.5 ? start : target;
+    }
+  });
+  Object.entries(TRANSITION_FADES).forEach(([key, opacityKey]) => {
+    if (!(key in to) || to[key] === from[key]) return;
+    const base = opacityKey in out ? out[opacityKey] : from[opacityKey];
+    out[opacityKey] = fade ? base * Math.abs(1 - 2 * p) : base;
+  });
+  return out;
 }
 
+const DEGAUSS_DURATION = 1600;
+
+/** Config keys that switch the signal artifacts on, each with matching *Intensity and *Speed keys. */
+const SIGNAL_TOGGLES = ['humBars', 'verticalHold', 'trackingNoise', 'syncTear'];
+const SIGNAL_MAP_ROWS = 128;
+const SIGNAL_TEAR_SCALE = 0.2; // a full-strength tear shifts lines by a tenth of the width
+
+/** Rec. 709 luminance into all three channels, alpha kept. */
+const PHOSPHOR_LUMA_MATRIX = '0.2126 0.7152 0.0722 0 0  0.2126 0.7152 0.0722 0 0  0.2126 0.7152 0.0722 0 0  0 0 0 1 0';
+
+/**
+ * feComponentTransfer table for one channel of a phosphor color: linear in luminance, with the top
+ * quarter blooming part of the way toward white so highlights burn bright.
+ */
+function phosphorRamp(channel) {
+  return [0, 0.25 * channel, 0.5 * channel, 0.75 * channel, channel + 0.3 * (1 - channel)].map(v => Number(v.toFixed(4))).join(' ');
+}
+
+/** SVG filter primitive (or any SVG element) with the given attributes. */
+function createFilterPrimitive(tag, attrs) {
+  const node = document.createElementNS('http://www.w3.org/2000/svg', tag);
+  Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+  return node;
+}
+
+/** feColorMatrix values that keep a single color channel (and alpha). */
+const CHANNEL_MATRICES = {
+  red: '1 0 0 0 0  0 0 0 0 0  0 0 0 0 0  0 0 0 1 0',
+  green: '0 0 0 0 0  0 1 0 0 0  0 0 0 0 0  0 0 0 1 0',
+  blue: '0 0 0 0 0  0 0 0 0 0  0 0 1 0 0  0 0 0 1 0',
+};
+
+/** Chroma only (each channel minus Rec. 601 luma), centred on 0.5 so negative differences survive. */
+const COMPOSITE_CHROMA_MATRIX = '0.701 -0.587 -0.114 0 0.5  -0.299 0.413 -0.114 0 0.5  -0.299 -0.587 0.886 0 0.5  0 0 0 1 0';
+const COMPOSITE_FIELD_INTERVAL = 1000 / 30;
+
+/**
+ * Subcarrier pattern for the composite stage as an SVG data URL: 1px diagonal red/green/blue
+ * stripes over a width×height picture. Each phase moves the stripes up a line.
+ */
+function buildCarrierImage(width, height, phase) {
+  const colors = ['#ff0000', '#00ff00', '#0000ff'];
+  let cells = '';
+  for (let y = 0; y < 3; y++) {
+    for (let x = 0; x < 3; x++) {
+      cells += `<rect x="${x}" y="${y}" width="1" height="1" fill="${colors[(x + y + phase) % 3]}"/>`;
+    }
+  }
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" shape-rendering="crispEdges">`
+    + `<defs><pattern id="c" width="3" height="3" patternUnits="userSpaceOnUse">${cells}</pattern></defs>`
+    + '<rect width="100%" height="100%" fill="url(#c)"/></svg>';
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * CSS for the mask layers as tiles with every edge on a whole device pixel. Tiles are SVG images
+ * measured in device pixels and drawn at 1/dpr CSS px per unit, so fractional ratios (1.25, 1.5)
+ * and zoom don't beat against the pattern. With `lines`, the scanline tiles span the whole picture
+ * height and place each line on the nearest device row, which keeps the line count exact.
+ * Interlaced modes light even and odd lines on alternate pseudo-elements and swap them per field.
+ */
+function buildMaskCss({ type, dpr, pitch, lines, density, darkness, triad }) {
+  const px = (css) => Math.max(1, Math.round(css * dpr)); // CSS px → whole device px
+  const rect = (x, y, width, height, fill, opacity) => `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${fill}" fill-opacity="${Math.round(opacity * 1000) / 1000}"/>`;
+  const tile = (width, height, shapes) => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" shape-rendering="crispEdges">${shapes.join('')}</svg>`;
+    return `url("data:image/svg+xml,${encodeURIComponent(svg)}") 0 0 / ${width / dpr}px ${height / dpr}px repeat`;
+  };
+
+  // Line edges in device rows: one pitch per tile, or every line of the picture with `lines`
+  const total = lines ? Math.round(lines.height * dpr) : px(pitch);
+  const count = lines && total >= lines.count ? lines.count : 1;
+  const height = count > 1 ? total : px(pitch);
+  const edges = Array.from({ length: count + 1 }, (_, i) => Math.round((i * height) / count));
+  const eachLine = (draw) => edges.slice(0, -1).flatMap((top, i) => draw(top, edges[i + 1] - top, i));
+  // A dark band at the bottom of every line, at least one device row and never the whole line
+  const bands = (thickness, opacity) => eachLine((top, size) => {
+    const band = Math.min(px(thickness), Math.max(1, size - 1));
+    return [rect(0, top + size - band, 1, band, '#000', opacity)];
+  });
+  // Rows spaced `period` CSS px apart over the same height, for hairlines
+  const rows = (period, thickness, opacity) => {
+    const step = Math.max(1, period * dpr);
+    const tileHeight = count > 1 ? height : px(period);
+    const shapes = [];
+    for (let y = 0; y < tileHeight - 0.5; y += step) shapes.push(rect(0, Math.round(y), 1, px(thickness), '#fff', opacity));
+    return tile(1, tileHeight, shapes);
+  };
+  const columns = (period, width, fill, opacity) => tile(px(period), 1, [rect(0, 0, Math.min(px(width), px(period) - 1), 1, fill, opacity)]);
+
+  let scanlines;
+  let hairlines = null;
+  let hairlineMotion = null;
+  switch (type) {
+    case 'aperture-grille':
+      // Trinitron-style: vertical stripes only, no horizontal scanlines or hairlines
+      scanlines = columns(2, 0.5, '#000', darkness);
+      break;
+    case 'slot-mask':
+      // Vertical slots over faint horizontal lines; static vertical hairlines
+      scanlines = `${columns(3, 0.25, '#000', darkness)}, ${tile(1, height, bands(0.5, darkness * 0.3))}`;
+      hairlines = columns(3, 0.25, '#fff', 0.4);
+      break;
+    case 'sharp':
+      // Crisp one-pixel lines and static hairlines
+      scanlines = tile(1, height, bands(1, darkness));
+      hairlines = rows(pitch * density, 0.5, 1);
+      break;
+    case 'soft':
+      // Each line darkens toward its middle; hairlines drift a device pixel and fade
+      scanlines = tile(1, height, eachLine((top, size) => Array.from({ length: size }, (_, y) => {
+        const opacity = darkness * 0.6 * (1 - Math.abs(((y + 0.5) * 2) / size - 1));
+        return rect(0, top + y, 1, 1, '#000', opacity);
+      })));
+      hairlines = rows(pitch * density, 0.8, 0.5);
+      hairlineMotion = 'crtHairlineSoft var(--interlace-speed) steps(2) infinite';
+      break;
+    case 'shadow-mask':
+    default:
+      // Traditional CRT: thin dark lines and hairlines hopping a device pixel
+      scanlines = tile(1, height, bands(0.5, darkness));
+      hairlines = rows(pitch * density, 0.8, 0.92);
+      hairlineMotion = 'crtHairline var(--interlace-speed) steps(2) infinite';
+      break;
+  }
+
+  let css = `.crt-scanlines{background:${scanlines}}`;
+  if (lines && lines.interlaced && count > 1) {
+    // Fields: even lines on ::after, odd lines on ::before, lit in turn (held together in safe mode)
+    const field = (parity) => tile(1, height, eachLine((top, size, i) => (i % 2 === parity ? [rect(0, top, 1, Math.max(1, size - 1), '#fff', 0.85)] : [])));
+    css += `.crt-scanlines::after{background:${field(0)};animation:crtFieldA var(--interlace-speed) step-end infinite}`
+      + `.crt-scanlines::before{background:${field(1)};animation:crtFieldB var(--interlace-speed) step-end infinite}`;
+  } else if (hairlines) {
+    css += `.crt-scanlines::after{background:${hairlines};animation:${hairlineMotion || 'none'}}`;
+  } else {
+    css += '.crt-scanlines::after{display:none}';
+  }
+  css += `@keyframes crtHairline{from{transform:translateY(0)}to{transform:translateY(${2 / dpr}px)}}`
+    + `@keyframes crtHairlineSoft{from{transform:translateY(0);opacity:var(--hairline-opacity)}to{transform:translateY(${2 / dpr}px);opacity:calc(var(--hairline-opacity) * 0.6)}}`
+    + '@keyframes crtFieldA{0%{opacity:var(--hairline-opacity)}50%{opacity:0}}'
+    + '@keyframes crtFieldB{0%{opacity:0}50%{opacity:var(--hairline-opacity)}}';
+
+  // Phosphor triad: red, gap, green, gap, blue, gap; faint dark lines at the scan pitch
+  const dot = px(triad.size);
+  const triadTile = tile(dot * 6, 1, [rect(0, 0, dot, 1, '#f00', triad.red), rect(dot * 2, 0, dot, 1, '#0f0', triad.green), rect(dot * 4, 0, dot, 1, '#00f', triad.blue)]);
+  css += `.crt-fringe::before{background:${triadTile}, ${tile(1, height, bands(0.5, 0.2))}}`;
+  return css;
+}
+
+const LINES_RANGE = { min: 16, max: 2160 };
+
+/** Parse a `lines` value ('240', '288p', '480i', 576) into { count, interlaced }; null when invalid. */
+function parseLines(value) {
+  if (value === null || value === undefined) return null;
+  const m = /^(\d+)([ip]?)$/.exec(String(value).trim().toLowerCase());
+  if (!m) return null;
+  const count = parseInt(m[1], 10);
+  return count >= LINES_RANGE.min && count <= LINES_RANGE.max ? { count, interlaced: m[2] === 'i' } : null;
+}
+
+/** Built-in palettes for `palette`. */
+const PALETTES = {
+  cga: ['#000000', '#55ffff', '#ff55ff', '#ffffff'],
+  ega: ['#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+    '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'],
+  gameboy: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'],
+  pico8: ['#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+    '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'],
+  c64: ['#000000', '#ffffff', '#68372b', '#70a4b2', '#6f3d86', '#588d43', '#352879', '#b8c76f',
+    '#6f4f25', '#433900', '#9a6759', '#444444', '#6c6c6c', '#9ad284', '#6c5eb5', '#959595'],
+};
+// Every color adds eight filter primitives, so custom palettes are capped
+const PALETTE_MAX_COLORS = 32;
+// Channel-averaged distance from a feBlend difference, as an opaque gray
+const PALETTE_DISTANCE_MATRIX = '0.3333 0.3333 0.3333 0 0  0.3333 0.3333 0.3333 0 0  0.3333 0.3333 0.3333 0 0  0 0 0 0 1';
+// Opaque where the gap to the running minimum is zero, transparent elsewhere
+const PALETTE_WIN_MATRIX = '0 0 0 0 0  0 0 0 0 0  0 0 0 0 0  -255 0 0 0 1';
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+/**
+ * A `palette` attribute value as config: a palette name or 'none' (lower-cased), a JSON array,
+ * or a comma-separated color list (commas inside rgb()/hsl() are kept).
+ */
+function parsePaletteAttribute(value) {
+  const text = String(value || 'none').trim();
+  const name = text.toLowerCase();
+  if (name === 'none' || PALETTES[name]) return name;
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return null;
+    }
+  }
+  return text.split(/,(?![^(]*\))/).map(part => part.trim()).filter(Boolean);
+}
+
+/** RGB colors (0-1) of a palette name or color list; null when it is not a usable palette. */
+function resolvePalette(palette) {
+  const colors = typeof palette === 'string' ? PALETTES[palette.trim().toLowerCase()] : palette;
+  if (!Array.isArray(colors) || colors.length < 2 || colors.length > PALETTE_MAX_COLORS) return null;
+  const rgb = colors.map(color => (typeof color === 'string' ? parseBloomColor(color) : null));
+  return rgb.every(Boolean) ? rgb : null;
+}
+
+/** 4x4 Bayer threshold pattern over a width×height picture as an SVG data URL (gray levels around 0.5). */
+function buildBayerImage(width, height) {
+  const cells = BAYER_4X4.map((level, i) => {
+    const gray = Math.round(((level + 0.5) / 16) * 255);
+    return `<rect x="${i % 4}" y="${Math.floor(i / 4)}" width="1" height="1" fill="rgb(${gray},${gray},${gray})"/>`;
+  }).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" shape-rendering="crispEdges">`
+    + `<defs><pattern id="b" width="4" height="4" patternUnits="userSpaceOnUse">${cells}</pattern></defs>`
+    + '<rect width="100%" height="100%" fill="url(#b)"/></svg>';
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+const POWER_DURATIONS = { on: 900, off: 650, reduced: 300 };
+const POWER_LINE = 0.006; // collapsed beam thickness, as a fraction of the screen
+
+/**
+ * Beam window and picture state at progress 0-1 of a power animation.
+ * Off: squash to a bright line, narrow to a dot, fade. On: dot, widen to a line, open up, overshoot.
+ * Reduced: the full picture just fades to or from black.
+ */
+function powerFrame(progress, state, reduced) {
+  const easeIn = t => t * t;
+  const easeOut = t => 1 - (1 - t) * (1 - t);
+  const segment = (from, to) => Math.min(1, Math.max(0, (progress - from) / (to - from)));
+  if (reduced) {
+    return { scaleX: 1, scaleY: 1, brightness: 1, glow: 0, fade: state === 'off' ? progress : 1 - progress };
+  }
+  if (state === 'off') {
+    const collapse = easeIn(segment(0, 0.5));
+    const narrow = easeIn(segment(0.5, 0.8));
+    const vanish = segment(0.8, 1);
+    const scaleY = 1 - collapse * (1 - POWER_LINE);
+    const scaleX = (1 - narrow * (1 - POWER_LINE)) * (1 - vanish);
+    return { scaleX, scaleY: scaleY * (1 - vanish), brightness: 1 + 2 * collapse, glow: collapse * (1 - vanish), fade: 0 };
+  }
+  const appear = segment(0, 0.15);
+  const widen = easeOut(segment(0.15, 0.4));
+  const open = easeOut(segment(0.4, 0.75));
+  const settle = segment(0.75, 1);
+  const scaleX = POWER_LINE + widen * (1 - POWER_LINE);
+  const scaleY = POWER_LINE + open * (1 - POWER_LINE);
+  // Bright line, dimming as the picture opens to a 1.5x overshoot that settles back to 1
+  const brightness = settle > 0 ? 1.5 - 0.5 * settle : 3 - 1.5 * open;
+  return { scaleX: appear > 0 ? scaleX : 0, scaleY: appear > 0 ? scaleY : 0, brightness, glow: appear * (1 - open), fade: 0 };
+}
+
+const SOURCE_VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+void main() {
+  v_uv = a_position * 0.5 + 0.5;
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+// WebGL 1, no extensions and a fixed tap count so it compiles on software rasterizers (SwiftShader, llvmpipe)
+const SOURCE_FRAGMENT_SHADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec2 v_uv;
+uniform sampler2D u_source;
+uniform vec2 u_output;
+uniform vec2 u_texel;
+uniform vec2 u_curvature;
+uniform float u_scanPitch;
+uniform float u_scanStrength;
+uniform float u_maskPitch;
+uniform vec3 u_maskStrength;
+uniform float u_maskType;
+uniform float u_bloom;
+uniform float u_bloomRadius;
+uniform vec3 u_bloomTint;
+uniform float u_vignette;
+uniform float u_vignetteRadius;
+uniform float u_mix;
+
+vec2 warp(vec2 uv) {
+  vec2 p = uv * 2.0 - 1.0;
+  float aspect = u_output.x / u_output.y;
+  float r2 = (p.x * p.x * aspect * aspect + p.y * p.y) / (aspect * aspect + 1.0);
+  p += p * r2 * u_curvature;
+  return p * 0.5 + 0.5;
+}
+
+void main() {
+  vec2 uv = warp(v_uv);
+  if (uv.x < 0.0 || uv.y < 0.0 || uv.x > 1.0 || uv.y > 1.0) {
+    gl_FragColor = vec4(0.0);
+    return;
+  }
+  vec4 raw = texture2D(u_source, uv);
+  vec3 color = raw.rgb;
+
+  // Halation: bright-pass of a 12-tap ring around the pixel
+  vec3 glow = vec3(0.0);
+  for (int i = 0; i < 12; i++) {
+    float a = float(i) * 0.5235988;
+    vec2 o = vec2(cos(a), sin(a)) * u_texel * u_bloomRadius;
+    glow += max(texture2D(u_source, uv + o).rgb - 0.55, 0.0);
+    glow += max(texture2D(u_source, uv + o * 0.5).rgb - 0.55, 0.0);
+  }
+  glow /= 10.8;
+
+  // Brightness-aware scanlines: bright pixels widen the beam and fill the gap
+  float luma = dot(color, vec3(0.299, 0.587, 0.114));
+  float line = fract(uv.y * u_output.y / u_scanPitch) - 0.5;
+  float spread = line / mix(0.22, 0.5, luma);
+  float beam = exp(-2.0 * spread * spread);
+  color *= mix(1.0, beam, u_scanStrength);
+
+  // Phosphor mask: RGB triads, row-offset for shadow mask, gaps for slot mask
+  float row = floor(gl_FragCoord.y / u_scanPitch);
+  float column = gl_FragCoord.x / u_maskPitch;
+  if (u_maskType < 0.5) column += mod(row, 2.0) * 1.5;
+  float index = mod(floor(column), 3.0);
+  vec3 channel = index < 0.5 ? vec3(1.0, 0.0, 0.0) : (index < 1.5 ? vec3(0.0, 1.0, 0.0) : vec3(0.0, 0.0, 1.0));
+  vec3 strength = u_maskType > 3.5 ? u_maskStrength * 0.5 : u_maskStrength;
+  vec3 mask = 1.0 - strength * (1.0 - channel);
+  if (u_maskType > 1.5 && u_maskType < 2.5) {
+    float slot = fract(gl_FragCoord.y / (u_scanPitch * 1.5) + floor(column / 3.0) * 0.5);
+    mask *= 1.0 - step(0.85, slot) * max(strength.r, max(strength.g, strength.b));
+  }
+  color *= mask;
+
+  color += glow * u_bloomTint * u_bloom;
+
+  vec2 centered = v_uv * 2.0 - 1.0;
+  color *= 1.0 - u_vignette * smoothstep(u_vignetteRadius * 0.6, 1.45, length(centered));
+
+  gl_FragColor = vec4(mix(raw.rgb, color, u_mix), raw.a);
+}`;
+
+/**
+ * WebGL 1 renderer for `source` mode. Uploads each source frame as a texture and runs the CRT shader.
+ * Throws from the constructor when WebGL or the shader is unavailable so callers can fall back to 2D.
+ */
+class CRTWebGLRenderer {
+  constructor(canvas) {
+    this.kind = 'webgl';
+    this.canvas = canvas;
+    const options = { premultipliedAlpha: false, antialias: false, depth: false, failIfMajorPerformanceCaveat: false };
+    const gl = canvas.getContext('webgl', options) || canvas.getContext('experimental-webgl', options);
+    if (!gl) throw new Error('WebGL unavailable');
+    this.gl = gl;
+
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader) || 'Shader compile failed');
+      return shader;
+    };
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, SOURCE_VERTEX_SHADER));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, SOURCE_FRAGMENT_SHADER));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program) || 'Program link failed');
+    gl.useProgram(program);
+    this.program = program;
+
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(program, 'a_position');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    // NPOT-safe sampling: no mipmaps, clamp to edge
+    this.texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+
+    this.uniforms = {};
+    ['u_output','u_texel','u_curvature','u_scanPitch','u_scanStrength','u_maskPitch','u_maskStrength','u_maskType','u_bloom','u_bloomRadius','u_bloomTint','u_vignette','u_vignetteRadius','u_mix']
+      .forEach((name) => { this.uniforms[name] = gl.getUniformLocation(program, name); });
+  }
+
+  render(source, params) {
+    const { gl, uniforms: u } = this;
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    gl.uniform2f(u.u_output, this.canvas.width, this.canvas.height);
+    gl.uniform2f(u.u_texel, 1 / this.canvas.width, 1 / this.canvas.height);
+    gl.uniform2f(u.u_curvature, params.curvature.x, params.curvature.y);
+    gl.uniform1f(u.u_scanPitch, params.scanPitch);
+    gl.uniform1f(u.u_scanStrength, params.scanStrength);
+    gl.uniform1f(u.u_maskPitch, params.maskPitch);
+    gl.uniform3fv(u.u_maskStrength, params.maskStrength);
+    gl.uniform1f(u.u_maskType, params.maskType);
+    gl.uniform1f(u.u_bloom, params.bloom);
+    gl.uniform1f(u.u_bloomRadius, params.bloomRadius);
+    gl.uniform3fv(u.u_bloomTint, params.bloomTint);
+    gl.uniform1f(u.u_vignette, params.vignette);
+    gl.uniform1f(u.u_vignetteRadius, params.vignetteRadius);
+    gl.uniform1f(u.u_mix, params.mix);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  destroy() {
+    const lose = this.gl.getExtension('WEBGL_lose_context');
+    if (lose) lose.loseContext();
+  }
+}
+
+/**
+ * Canvas 2D fallback for `source` mode. Scanlines and the phosphor mask are multiplied in as cached
+ * pattern tiles; the blurred bloom pass is added afterwards so bright areas bleed into the scanline gaps.
+ * There is no per-pixel warp here, so barrel curvature is skipped.
+ */
+class CRTCanvasRenderer {
+  constructor(canvas) {
+    this.kind = '2d';
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    if (!this.ctx) throw new Error('Canvas 2D unavailable');
+    this.bloomCanvas = document.createElement('canvas');
+    this.patternKey = null;
+  }
+
+  _buildPatterns(params) {
+    const key = `${params.scanPitch}:${params.scanStrength}:${params.maskPitch}:${params.maskStrength.join(',')}:${params.maskType}`;
+    if (key === this.patternKey) return;
+    this.patternKey = key;
+    const ctx = this.ctx;
+
+    const pitch = Math.max(2, Math.round(params.scanPitch));
+    const scan = document.createElement('canvas');
+    scan.width = 1;
+    scan.height = pitch;
+    const scanCtx = scan.getContext('2d');
+    for (let y = 0; y < pitch; y++) {
+      const line = (y + 0.5) / pitch - 0.5;
+      const beam = Math.exp(-2 * Math.pow(line / 0.36, 2));
+      const v = Math.round(255 * (1 - params.scanStrength * (1 - beam)));
+      scanCtx.fillStyle = `rgb(${v},${v},${v})`;
+      scanCtx.fillRect(0, y, 1, 1);
+    }
+    this.scanPattern = ctx.createPattern(scan, 'repeat');
+
+    const stripe = Math.max(1, Math.round(params.maskPitch));
+    const mask = document.createElement('canvas');
+    mask.width = stripe * 3;
+    mask.height = pitch * 2;
+    const maskCtx = mask.getContext('2d');
+    const scale = params.maskType === 4 ? 0.5 : 1;
+    const off = params.maskStrength.map((s) => Math.round(255 * (1 - s * scale)));
+    for (let row = 0; row < 2; row++) {
+      const shift = params.maskType === 0 && row === 1 ? Math.round(stripe * 1.5) : 0;
+      for (let i = 0; i < 3; i++) {
+        const rgb = [off[0], off[1], off[2]];
+        rgb[i] = 255;
+        maskCtx.fillStyle = `rgb(${rgb.join(',')})`;
+        // Draw twice so a shifted stripe wraps around the tile edge
+        maskCtx.fillRect(i * stripe + shift, row * pitch, stripe, pitch);
+        maskCtx.fillRect(i * stripe + shift - mask.width, row * pitch, stripe, pitch);
+      }
+    }
+    this.maskPattern = ctx.createPattern(mask, 'repeat');
+  }
+
+  render(source, params) {
+    const { ctx, canvas } = this;
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+    ctx.clearRect(0, 0, w, h);
+    ctx.drawImage(source, 0, 0, w, h);
+    if (params.mix <= 0) return;
+
+    this._buildPatterns(params);
+    ctx.globalAlpha = params.mix;
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = this.maskPattern;
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = this.scanPattern;
+    ctx.fillRect(0, 0, w, h);
+
+    if (params.bloom > 0 && 'filter' in ctx) {
+      const bloom = this.bloomCanvas;
+      const bloomCtx = bloom.getContext('2d');
+      bloom.width = Math.max(1, Math.round(w / 2));
+      bloom.height = Math.max(1, Math.round(h / 2));
+      bloomCtx.filter = `blur(${params.bloomRadius / 2}px) brightness(1.4)`;
+      bloomCtx.drawImage(source, 0, 0, bloom.width, bloom.height);
+      bloomCtx.filter = 'none';
+      bloomCtx.globalCompositeOperation = 'multiply';
+      bloomCtx.fillStyle = `rgb(${params.bloomTint.map((c) => Math.round(c * 255)).join(',')})`;
+      bloomCtx.fillRect(0, 0, bloom.width, bloom.height);
+      ctx.globalCompositeOperation = 'lighter';
+      ctx.globalAlpha = params.mix * Math.min(1, params.bloom);
+      ctx.drawImage(bloom, 0, 0, w, h);
+    }
+
+    if (params.vignette > 0) {
+      const radius = Math.hypot(w, h) / 2;
+      const gradient = ctx.createRadialGradient(w / 2, h / 2, radius * params.vignetteRadius * 0.6, w / 2, h / 2, radius * 1.45);
+      gradient.addColorStop(0, 'rgb(255,255,255)');
+      const edge = Math.round(255 * (1 - params.vignette));
+      gradient.addColorStop(1, `rgb(${edge},${edge},${edge})`);
+      ctx.globalCompositeOperation = 'multiply';
+      ctx.globalAlpha = params.mix;
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, w, h);
+    }
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+  }
+
+  destroy() {}
+}
+
+// One reflected property per parameter: reads return the live config value, writes go through the attribute
+PARAMETER_SCHEMA.forEach((param) => {
+  Object.defineProperty(CRTOverlay.prototype, param.key, {
+    get() { return this.config[param.key]; },
+    set(value) { this._setProperty(param, value); },
+    configurable: true,
+    enumerable: true,
+  });
+});
+
 if (!customElements.get('crt-overlay')) customElements.define('crt-overlay', CRTOverlay);
 
 export default CRTOverlay;
+export { PARAMETER_SCHEMA, BLOOM_TINTS, PALETTES, parseBloomColor, toHexColor };
@@ -0,0 +1,454 @@
+import { describe, it, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { window } from './jsdom-env.js';
+import CRTOverlay, { PARAMETER_SCHEMA, parseBloomColor, toHexColor } from './crt-overlay.js';
+
+// Connected overlay with the given attributes
+function createOverlay(attributes = {}) {
+  const overlay = document.createElement('crt-overlay');
+  Object.entries(attributes).forEach(([name, value]) => overlay.setAttribute(name, value));
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
+afterEach(() => {
+  document.querySelectorAll('crt-overlay').forEach(overlay => overlay.remove());
+  localStorage.clear();
+});
+
+after(() => window.close());
+
+describe('history', () => {
+  it('coalesces changes made in quick succession into one step', () => {
+    const overlay = createOverlay();
+    overlay.barrel = 2;
+    overlay.barrel = 2.5;
+    overlay.bloom = 0.4;
+    overlay.flushHistory();
+    assert.deepEqual(overlay.history.undo.map(step => step.keys), [['barrel', 'bloom']]);
+  });
+
+  it('closes the pending step once changes pause', async () => {
+    const overlay = createOverlay();
+    overlay.barrel = 2;
+    assert.equal(overlay.history.canUndo, true);
+    assert.equal(overlay.history.undo.length, 0);
+    await new Promise(resolve => setTimeout(resolve, 450));
+    assert.equal(overlay.history.undo.length, 1);
+  });
+
+  it('leaves out changes that end where they started', () => {
+    const overlay = createOverlay();
+    overlay.barrel = 3;
+    overlay.barrel = 1.5;
+    overlay.flushHistory();
+    assert.equal(overlay.history.canUndo, false);
+  });
+
+  it('undoes and redoes a preset as one step', () => {
+    const overlay = createOverlay();
+    const before = overlay.exportSettings().config;
+    overlay.applyPreset('amber-phosphor');
+    const applied = overlay.exportSettings().config;
+    assert.equal(overlay.history.undo.length, 1);
+    assert.equal(overlay.history.undo[0].preset, 'amber-phosphor');
+
+    assert.equal(overlay.undo(), true);
+    assert.deepEqual(overlay.exportSettings().config, before);
+    assert.equal(overlay.undo(), false);
+
+    assert.equal(overlay.redo(), true);
+    assert.deepEqual(overlay.exportSettings().config, applied);
+    assert.equal(overlay.activePreset, 'amber-phosphor');
+  });
+
+  it('drops the redo steps on a new change', () => {
+    const overlay = createOverlay();
+    overlay.barrel = 3;
+    overlay.flushHistory();
+    overlay.undo();
+    assert.equal(overlay.history.canRedo, true);
+    overlay.bloom = 0.5;
+    overlay.flushHistory();
+    assert.equal(overlay.history.canRedo, false);
+  });
+
+  it('does not record layout and runtime keys', () => {
+    const overlay = createOverlay();
+    overlay.mode = 2;
+    overlay.portalSelector = '.ui';
+    overlay.applyBarrelTo = '.stage';
+    overlay.flushHistory();
+    assert.equal(overlay.history.canUndo, false);
+  });
+
+  it('leaves the scope alone when undoing after a scope change', () => {
+    const overlay = createOverlay();
+    overlay.barrel = 3;
+    overlay.flushHistory();
+    overlay.setAttribute('scope', 'self');
+    overlay.flushHistory();
+    assert.equal(overlay.history.undo.length, 1);
+
+    overlay.undo();
+    assert.equal(overlay.config.scope, 'self');
+    assert.equal(overlay.getAttribute('scope'), 'self');
+    assert.equal(overlay.config.barrel, 1.5);
+  });
+
+  it('caps the number of steps', () => {
+    const overlay = createOverlay();
+    for (let i = 1; i <= 105; i++) {
+      overlay.bloom = i % 2 ? 0.5 : 0.25;
+      overlay.flushHistory();
+    }
+    assert.equal(overlay.history.undo.length, 100);
+  });
+});
+
+describe('persistence', () => {
+  const save = (config, preset = null) => {
+    localStorage.setItem('crt-overlay:test', JSON.stringify({ format: 'crt-overlay-settings', version: 1, config, preset }));
+  };
+
+  it('restores the saved look over the attributes', () => {
+    save({ barrel: 4, bloom: 0.5 }, null);
+    const overlay = createOverlay({ 'persist-key': 'test', barrel: '2' });
+    assert.equal(overlay.config.barrel, 4);
+    assert.equal(overlay.config.bloom, 0.5);
+  });
+
+  it('keeps layout and runtime keys from the markup', () => {
+    save({ barrel: 4, scope: 'self', source: '#video', mode: 0, controls: true });
+    const overlay = createOverlay({ 'persist-key': 'test', mode: '2' });
+    assert.equal(overlay.config.barrel, 4);
+    assert.equal(overlay.config.scope, 'page');
+    assert.equal(overlay.config.source, null);
+    assert.equal(overlay.config.mode, 2);
+    assert.equal(overlay.config.controls, false);
+  });
+
+  it('ignores invalid saved state', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    save({ barrel: 40 });
+    const overlay = createOverlay({ 'persist-key': 'test', barrel: '2' });
+    assert.equal(overlay.config.barrel, 2);
+    assert.match(warn.mock.calls[0].arguments[0], /ignoring saved settings "test"/);
+  });
+
+  it('saves only the look', () => {
+    const overlay = createOverlay({ 'persist-key': 'test', scope: 'self' });
+    overlay.setAttribute('barrel', '3');
+    overlay.flushPersist();
+    const saved = JSON.parse(localStorage.getItem('crt-overlay:test'));
+    assert.equal(saved.config.barrel, 3);
+    assert.equal('scope' in saved.config, false);
+  });
+
+  it('resets to the attributes and forgets the saved state', () => {
+    save({ barrel: 4 });
+    const overlay = createOverlay({ 'persist-key': 'test', barrel: '2' });
+    overlay.resetSettings();
+    assert.equal(overlay.config.barrel, 2);
+    assert.equal(localStorage.getItem('crt-overlay:test'), null);
+  });
+});
+
+describe('power', () => {
+  it('collapses the filtered page content with the overlay layers and puts its styles back', async () => {
+    const page = document.createElement('div');
+    page.className = 'bg-image'; // what mode 1 filters
+    page.style.transform = 'translateZ(0)';
+    document.body.prepend(page);
+    const overlay = createOverlay();
+    const done = overlay.powerOff();
+    overlay.step(0);
+    overlay.step(160);
+    assert.match(overlay.shadowRoot.querySelector('.crt-container').style.transform, /scale\(/);
+    assert.match(page.style.transform, /^translateZ\(0(px)?\) scale\(/);
+    assert.notEqual(page.style.transformOrigin, '');
+    overlay.step(1000);
+    assert.equal(await done, true);
+    assert.match(page.style.transform, /^translateZ\(0(px)?\)$/);
+    assert.equal(page.style.transformOrigin, '');
+    page.remove();
+  });
+
+  it('keeps a transform the page sets during the animation', async () => {
+    const page = document.createElement('div');
+    page.className = 'bg-image'; // what mode 1 filters
+    document.body.prepend(page);
+    const overlay = createOverlay();
+    const done = overlay.powerOff();
+    overlay.step(0);
+    overlay.step(160);
+    page.style.transform = 'translateX(10px)';
+    overlay.step(100);
+    assert.match(page.style.transform, /^translateX\(10px\) scale\(/);
+    page.style.transform = 'rotate(1deg)';
+    overlay.step(1000);
+    assert.equal(await done, true);
+    assert.equal(page.style.transform, 'rotate(1deg)');
+    page.remove();
+  });
+});
+
+describe('settings import', () => {
+  const doc = config => ({ format: 'crt-overlay-settings', version: 1, config });
+
+  it('round-trips exported settings', () => {
+    const source = createOverlay({ barrel: '3', 'bloom-color': 'amber', 'scanline-mask': 'slot-mask' });
+    const target = createOverlay();
+    const result = target.importSettings(JSON.stringify(source.exportSettings()));
+    assert.equal(result.ok, true);
+    assert.deepEqual(target.exportSettings(), source.exportSettings());
+  });
+
+  it('applies a partial config and accepts null where nullable', () => {
+    const overlay = createOverlay({ 'barrel-x': '2' });
+    const result = overlay.importSettings(doc({ bloom: 0.4, barrelX: null }));
+    assert.deepEqual(result, { ok: true, errors: [], applied: ['bloom', 'barrelX'] });
+    assert.equal(overlay.config.bloom, 0.4);
+    assert.equal(overlay.config.barrelX, null);
+    assert.equal(overlay.config.barrel, 1.5);
+  });
+
+  it('rejects documents that are not settings', () => {
+    const overlay = createOverlay();
+    assert.match(overlay.importSettings('{nope').errors[0], /^Not valid JSON/);
+    assert.deepEqual(overlay.importSettings({ config: {} }).errors, ['Not a crt-overlay-settings document']);
+    assert.deepEqual(overlay.importSettings({ format: 'crt-overlay-settings', config: {} }).errors, ['Missing or invalid "version"']);
+    assert.deepEqual(overlay.importSettings({ format: 'crt-overlay-settings', version: 2, config: {} }).errors,
+      ['Version 2 is newer than supported version 1']);
+    assert.deepEqual(overlay.importSettings({ format: 'crt-overlay-settings', version: 1, config: [] }).errors, ['Missing "config" object']);
+  });
+
+  it('leaves safe mode alone on import, undo and reset', () => {
+    const overlay = createOverlay({ 'safe-mode': '' });
+    assert.equal('safeMode' in overlay.exportSettings().config, false);
+    assert.deepEqual(overlay.importSettings(doc({ safeMode: false })).errors, ['safeMode: unknown setting']);
+    overlay.importSettings(doc({ barrel: 3 }));
+    overlay.undo();
+    overlay.resetSettings();
+    assert.equal(overlay.config.safeMode, true);
+    assert.equal(overlay.history.canUndo, false);
+  });
+
+  it('lists every invalid value and applies nothing', () => {
+    const overlay = createOverlay();
+    const before = overlay.exportSettings();
+    const result = overlay.importSettings(doc({
+      bloom: 7, barrel: '2', flicker: 'yes', scanlineMask: 'round', bloomColor: 'nope', lines: '8', palette: ['#000'], foo: 1, scope: 'self',
+    }));
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.applied, []);
+    assert.deepEqual(result.errors, [
+      'bloom: 7 is out of range (0 to 1)',
+      'barrel: expected a number, got "2"',
+      'flicker: expected true or false, got "yes"',
+      'scanlineMask: "round" is not one of "shadow-mask", "aperture-grille", "slot-mask", "sharp", "soft"',
+      'bloomColor: "nope" is not a color',
+      'lines: "8" is not a line count (16 to 2160, optionally with "i" or "p")',
+      'palette: ["#000"] is not a palette name or a list of 2 to 32 colors',
+      'foo: unknown setting',
+      'scope: unknown setting',
+    ]);
+    assert.deepEqual(overlay.importSettings(doc({ constructor: 'x', toString: 'y' })).errors,
+      ['constructor: unknown setting', 'toString: unknown setting']);
+    assert.deepEqual(overlay.exportSettings(), before);
+  });
+});
+
+describe('transitions', () => {
+  it('interpolates numbers and colors, and switches discrete keys halfway behind a fade', async () => {
+    const overlay = createOverlay({ barrel: '1', 'bloom-color': '#000000', flicker: '', 'flicker-opacity': '0.4' });
+    const done = overlay.transitionTo({ barrel: 3, bloomColor: '#ffffff', flicker: false }, { duration: 1000, easing: 'linear' });
+    overlay.step(0);
+    overlay.step(250);
+    assert.equal(overlay.config.barrel, 1.5);
+    assert.equal(overlay.config.bloomColor, '#404040');
+    assert.equal(overlay.config.flicker, true);
+    assert.equal(overlay.config.flickerOpacity, 0.2);
+    overlay.step(250);
+    assert.equal(overlay.config.flicker, false);
+    assert.equal(overlay.config.flickerOpacity, 0);
+    overlay.step(500);
+    assert.equal(await done, true);
+    assert.equal(overlay.config.barrel, 3);
+    assert.equal(overlay.config.bloomColor, '#ffffff');
+    assert.equal(overlay.config.flickerOpacity, 0.4);
+  });
+
+  it('settles on the in-between values when cancelled', async () => {
+    const overlay = createOverlay({ barrel: '1', 'flicker-opacity': '0.4' });
+    const done = overlay.transitionTo({ barrel: 3, flicker: false }, { duration: 1000, easing: 'linear' });
+    overlay.step(0);
+    overlay.step(250);
+    assert.equal(overlay.cancelTransition(), true);
+    assert.equal(await done, false);
+    assert.equal(overlay.config.barrel, 1.5);
+    assert.equal(overlay.getAttribute('barrel'), '1.5');
+    assert.equal(overlay.config.flickerOpacity, 0.4);
+  });
+
+  it('blends presets by weight', () => {
+    const blended = CRTOverlay.blendPresets([['default', 1], ['amber-phosphor', 3]]);
+    const a = CRTOverlay.getPreset('default');
+    const b = CRTOverlay.getPreset('amber-phosphor');
+    assert.equal(blended.barrel, (a.barrel + b.barrel * 3) / 4);
+    assert.equal(blended.scanlineMask, b.scanlineMask);
+    assert.throws(() => CRTOverlay.blendPresets([['nope', 1]]), /unknown preset "nope"/);
+  });
+});
+
+describe('colors', () => {
+  it('resolves phosphor tints, hex and rgb() colors to 0-1 RGB', () => {
+    assert.deepEqual(parseBloomColor(' Amber '), [1, 0.69, 0.25]);
+    assert.deepEqual(parseBloomColor('#f00'), [1, 0, 0]);
+    assert.deepEqual(parseBloomColor('#00ff0080'), [0, 1, 0]);
+    assert.deepEqual(parseBloomColor('rgb(0, 51, 255)'), [0, 0.2, 1]);
+  });
+
+  it('does not take inherited object keys for tints', () => {
+    ['constructor', 'toString', 'hasOwnProperty', '__proto__'].forEach((name) => {
+      assert.equal(parseBloomColor(name), null, name);
+    });
+  });
+
+  it('rejects inherited object keys as bloom-color and in imports', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const overlay = createOverlay({ 'bloom-color': 'constructor' });
+    assert.equal(overlay.isConnected, true);
+    const result = overlay.importSettings({ format: 'crt-overlay-settings', version: 1, config: { bloomColor: 'toString' } });
+    assert.deepEqual(result.errors, ['bloomColor: "toString" is not a color']);
+  });
+
+  it('returns null for anything that is not a color', () => {
+    assert.equal(parseBloomColor(''), null);
+    assert.equal(parseBloomColor(null), null);
+    assert.equal(parseBloomColor('#12345'), null);
+    assert.equal(parseBloomColor('nope'), null);
+  });
+
+  it('formats RGB as #rrggbb, clamping out-of-range channels', () => {
+    assert.equal(toHexColor([1, 0.5, 0]), '#ff8000');
+    assert.equal(toHexColor([1.4, -0.2, 0.2]), '#ff0033');
+    assert.equal(toHexColor(parseBloomColor('#4aa3e1')), '#4aa3e1');
+  });
+
+  it('warns about an invalid bloom-color', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    createOverlay({ 'bloom-color': 'nope' });
+    assert.match(warn.mock.calls[0].arguments[0], /invalid bloom-color "nope"/);
+  });
+});
+
+describe('palette', () => {
+  it('accepts palette names in any case', () => {
+    const overlay = createOverlay({ palette: ' CGA ' });
+    assert.equal(overlay.config.palette, 'cga');
+  });
+
+  it('reads color lists, keeping the commas inside rgb()', () => {
+    const overlay = createOverlay({ palette: '#000, rgb(255, 0, 0), #fff' });
+    assert.deepEqual(overlay.config.palette, ['#000', 'rgb(255, 0, 0)', '#fff']);
+    overlay.setAttribute('palette', '["#000000", "#ffffff"]');
+    assert.deepEqual(overlay.config.palette, ['#000000', '#ffffff']);
+  });
+
+  it('falls back to none for unusable palettes', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const overlay = createOverlay({ palette: 'cga' });
+    const tooMany = Array.from({ length: 33 }, () => '#000').join(',');
+    ['vga', '#000', '#000, nope', tooMany, '[oops'].forEach((value) => {
+      overlay.setAttribute('palette', 'cga');
+      overlay.setAttribute('palette', value);
+      assert.equal(overlay.config.palette, 'none', value);
+    });
+    assert.equal(warn.mock.callCount(), 5);
+  });
+});
+
+describe('lines', () => {
+  it('normalizes line counts', () => {
+    const overlay = createOverlay({ lines: '480I' });
+    assert.equal(overlay.config.lines, '480i');
+    overlay.setAttribute('lines', ' 288p ');
+    assert.equal(overlay.config.lines, '288');
+    overlay.removeAttribute('lines');
+    assert.equal(overlay.config.lines, null);
+  });
+
+  it('ignores counts outside 16 to 2160', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const overlay = createOverlay();
+    ['8', '3000', '240x', 'abc'].forEach((value) => {
+      overlay.setAttribute('lines', '240');
+      overlay.setAttribute('lines', value);
+      assert.equal(overlay.config.lines, null, value);
+    });
+    assert.equal(warn.mock.callCount(), 4);
+  });
+
+  it('splits the picture height into the line count', () => {
+    const overlay = createOverlay({ 'scan-size': '4' });
+    assert.equal(overlay.getScanSize(480), 4);
+    overlay.setAttribute('lines', '240');
+    assert.equal(overlay.getScanSize(480), 2);
+    assert.equal(overlay.getScanSize(100), 1); // never finer than a device pixel
+  });
+});
+
+describe('parameter schema', () => {
+  it('clamps numbers outside the domain, with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const overlay = createOverlay({ barrel: '9', bloom: '-1' });
+    assert.equal(overlay.config.barrel, 6);
+    assert.equal(overlay.config.bloom, 0);
+    assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), [
+      'crt-overlay: barrel 9 is out of range (-6 to 6), using 6',
+      'crt-overlay: bloom -1 is out of range (0 to 1), using 0',
+    ]);
+  });
+
+  it('keeps the current value for unparseable numbers', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const overlay = createOverlay({ barrel: '2' });
+    overlay.setAttribute('barrel', 'wide');
+    assert.equal(overlay.config.barrel, 2);
+    assert.equal(warn.mock.calls[0].arguments[0], 'crt-overlay: invalid barrel "wide", keeping 2');
+  });
+
+  it('falls back to the default, or null where nullable, when an attribute is removed', () => {
+    const overlay = createOverlay({ barrel: '2', 'barrel-x': '3' });
+    overlay.removeAttribute('barrel');
+    overlay.removeAttribute('barrel-x');
+    assert.equal(overlay.config.barrel, 1.5);
+    assert.equal(overlay.config.barrelX, null);
+  });
+
+  it('uses the default for unknown enum values', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const overlay = createOverlay({ mode: '7', 'scanline-mask': 'slot-mask' });
+    overlay.setAttribute('scanline-mask', 'round');
+    assert.equal(overlay.config.mode, 1);
+    assert.equal(overlay.config.scanlineMask, 'shadow-mask');
+  });
+
+  it('observes one attribute per parameter and exports only the look', () => {
+    assert.deepEqual(CRTOverlay.observedAttributes, PARAMETER_SCHEMA.map(param => param.attribute));
+    const exported = Object.keys(createOverlay().exportSettings().config);
+    ['mode', 'controls', 'applyBarrelTo', 'scope', 'source', 'portalSelector', 'persistKey', 'power', 'compare']
+      .forEach(key => assert.equal(exported.includes(key), false, key));
+    assert.equal(exported.includes('barrel'), true);
+  });
+
+  it('coerces property writes and reflects them to attributes', () => {
+    const overlay = createOverlay();
+    overlay.barrel = '2.5';
+    overlay.flicker = false;
+    assert.equal(overlay.barrel, 2.5);
+    assert.equal(overlay.getAttribute('barrel'), '2.5');
+    assert.equal(overlay.hasAttribute('flicker'), false);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * jsdom environment
+ * Sets up a jsdom window as the global environment for the component tests (`npm test`).
+ * Import it before the component modules; canvas drawing is stubbed, since jsdom has no canvas backend.
+ */
+
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', {
+  pretendToBeVisual: true,
+  url: 'http://localhost/',
+});
+const { window } = dom;
+
+const context = () => ({
+  createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+  getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+  createLinearGradient: () => ({ addColorStop() {} }),
+  createRadialGradient: () => ({ addColorStop() {} }),
+  createPattern: () => ({}),
+  putImageData() {}, drawImage() {}, fillRect() {}, clearRect() {}, fillText() {},
+  save() {}, restore() {}, translate() {}, scale() {}, setTransform() {}, beginPath() {}, rect() {}, fill() {},
+});
+window.HTMLCanvasElement.prototype.getContext = context;
+window.HTMLCanvasElement.prototype.toDataURL = () => 'data:image/png;base64,';
+window.HTMLCanvasElement.prototype.toBlob = callback => callback(new window.Blob([]));
+window.URL.createObjectURL = () => 'blob:';
+window.URL.revokeObjectURL = () => {};
+window.matchMedia = window.matchMedia || (media => ({
+  matches: false, media, addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {},
+}));
+
+[
+  'window', 'document', 'navigator', 'customElements', 'HTMLElement', 'HTMLCanvasElement', 'HTMLVideoElement',
+  'Node', 'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'Option', 'Blob', 'URL', 'DOMParser',
+  'localStorage', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame', 'matchMedia',
+].forEach((name) => {
+  const value = window[name];
+  const global = typeof value === 'function' && name[0] === name[0].toLowerCase() ? value.bind(window) : value;
+  Object.defineProperty(globalThis, name, { value: global, configurable: true, writable: true });
+});
+
+export { dom, window };